@@ -1,10 +1,23 @@
-import { app, BrowserWindow, ipcMain, systemPreferences, dialog } from 'electron';
+import {
+  app,
+  BrowserWindow,
+  ipcMain,
+  systemPreferences,
+  dialog,
+  Notification,
+  Tray,
+  Menu,
+  nativeImage,
+  powerMonitor,
+} from 'electron';
 import { fileURLToPath } from 'node:url';
-import { dirname, join, basename } from 'node:path';
+import { dirname, join, basename, relative, isAbsolute } from 'node:path';
 import fs from 'node:fs/promises';
 import { existsSync } from 'node:fs';
 import crypto from 'node:crypto';
+import http from 'node:http';
 import keytar from 'keytar';
+import { argon2id } from 'hash-wasm';
 import os from 'node:os';
 
 console.log('=== MAIN PROCESS STARTED ===');
@@ -18,27 +31,65 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
 let mainWindow;
+let tray = null;
+let isQuitting = false;
 const isDev = process.env.NODE_ENV === 'development';
 
 const ARCHIVE_THRESHOLD = 2000; // move old completed tasks to archive past this count
+const MAX_CHECKLIST_ITEMS = 100;
+const MAX_VIEW_QUERY_LENGTH = 500;
+const SCHEMA_VERSION = 2; // db.json / archive.json `version`; see DATA_MIGRATIONS
+const SETTINGS_VERSION = 6; // settings.json `version`; see SETTINGS_MIGRATIONS
 
 const userDataDir = app.getPath('userData');
 const dbPath = join(userDataDir, 'db.json');
 const archivePath = join(userDataDir, 'archive.json');
 const settingsPath = join(userDataDir, 'settings.json');
+// Time of the last reminder check; the schedule itself is only kept in memory
+const remindersPath = join(userDataDir, 'reminders.json');
+// Append-only change log between compactions (records encrypted like db.json)
+const journalPath = join(userDataDir, 'journal.jsonl');
+// Verbatim copies of the files taken before a migration, removed once it has succeeded
+const preMigrationDir = join(userDataDir, 'pre-migration');
+// Rolling point-in-time copies, sealed like the live files
+const snapshotsDir = join(userDataDir, 'snapshots');
+const unreadableSnapshotsDir = join(snapshotsDir, 'unreadable');
 
 // Session-only key
 let sessionKey = null;
 
 const defaultSettings = {
-  version: 1,
+  version: SETTINGS_VERSION,
   encryptionEnabled: false,
   useBiometrics: false,
-  kdf: { algo: 'scrypt', N: 16384, r: 8, p: 1, keyLen: 32, salt: null },
+  closeToTray: true,
+  keySlots: [], // the data key, wrapped once per passcode / recovery key (see makeSlot)
+  keyCheck: null, // known value sealed with the key; see keyMatches()
+  failedUnlocks: 0,
+  lastFailedUnlockAt: null,
+  wipeAfterFailedUnlocks: 0, // 0 = never erase
+  autoLock: {
+    idleMinutes: 15, // 0 = never
+    onSuspend: true,
+    onLockScreen: true,
+    onMinimize: false,
+    onBlur: false,
+  },
+  calendarFeed: {
+    enabled: false, // opt-in: the feed is written outside the encrypted store
+    mode: 'file', // 'file' | 'http'
+    filePath: null,
+    port: 17380,
+    token: null, // secret path segment of the http URL
+    redact: 'busy', // 'busy' | 'titles'
+    projectIds: [], // with their sub-projects; empty = all
+    includeCompleted: false,
+    daysAhead: 30,
+  },
 };
 
 const defaultDB = {
-  version: 1,
+  version: SCHEMA_VERSION,
   createdAt: new Date().toISOString(),
   projects: [{ id: 'inbox', name: 'Inbox', createdAt: new Date().toISOString() }],
   tasks: [],
@@ -52,15 +103,45 @@ app.whenReady().then(async () => {
     app.dock.setIcon(join(__dirname, '..', 'assets', 'icon.png'));
   }
   
-  await ensureFiles();
+  // Required for native notifications on Windows
+  if (process.platform === 'win32') app.setAppUserModelId('org.livingwire.private-todo');
+
+  try {
+    await ensureFiles();
+  } catch (e) {
+    // e.g. settings.json from a newer app version: don't touch anything
+    dialog.showErrorBox('Private Todo', e.message);
+    app.quit();
+    return;
+  }
   console.log('Files ensured, creating window...');
   await createWindow();
   console.log('Window created, setting up app events...');
+  createTray();
+  startReminderScheduler();
+  startJournalCompaction();
+  startSnapshotSchedule();
+  startAutoLock();
+  startCalendarFeed().catch((e) => console.error('Calendar feed failed to start:', e));
   app.on('activate', () => {
     if (BrowserWindow.getAllWindows().length === 0) createWindow();
+    else showMainWindow();
   });
   console.log('App initialization complete');
 });
+app.on('before-quit', (e) => {
+  isQuitting = true;
+  if (!journalCount) return;
+  // Fold pending journal records into the data files before exiting
+  e.preventDefault();
+  readSettings()
+    .then((s) => compactJournal(s))
+    .catch((err) => console.error('Compaction on quit failed:', err))
+    .finally(() => {
+      journalCount = 0; // the journal is replayed on next launch if this failed
+      app.quit();
+    });
+});
 app.on('window-all-closed', () => {
   app.quit();
 });
@@ -83,6 +164,16 @@ async function createWindow() {
     frame: false,
     backgroundColor: '#111418',
   });
+  // Hide to the tray instead of closing so reminders keep firing
+  mainWindow.on('close', async (e) => {
+    if (isQuitting || !tray) return;
+    e.preventDefault();
+    const s = await readSettings().catch(() => defaultSettings);
+    if (s.closeToTray ?? true) mainWindow.hide();
+    else app.quit();
+  });
+  mainWindow.on('minimize', () => autoLockOn('onMinimize'));
+  mainWindow.on('blur', () => autoLockOn('onBlur'));
   // !!! Use __dirname to load the renderer HTML
   await mainWindow.loadFile(join(__dirname, 'renderer', 'index.html'));
   console.log('Main window loaded successfully');
@@ -95,6 +186,49 @@ async function createWindow() {
   if (isDev) mainWindow.webContents.openDevTools({ mode: 'detach' });
 }
 
+function showMainWindow() {
+  if (!mainWindow || mainWindow.isDestroyed()) {
+    createWindow();
+    return;
+  }
+  if (mainWindow.isMinimized()) mainWindow.restore();
+  mainWindow.show();
+  mainWindow.focus();
+}
+
+function createTray() {
+  try {
+    const icon = nativeImage
+      .createFromPath(join(__dirname, '..', 'assets', 'icon.png'))
+      .resize({ width: 16, height: 16 });
+    tray = new Tray(icon);
+    tray.setToolTip('Private Todo');
+    tray.setContextMenu(
+      Menu.buildFromTemplate([
+        { label: 'Show Private Todo', click: showMainWindow },
+        { type: 'separator' },
+        {
+          label: 'Quit',
+          click: () => {
+            isQuitting = true;
+            app.quit();
+          },
+        },
+      ]),
+    );
+    tray.on('click', showMainWindow);
+  } catch (e) {
+    // Some Linux desktops have no tray; closing the window then quits as before
+    console.warn('Tray unavailable:', e.message);
+    tray = null;
+  }
+}
+
+// Tell the renderer that data changed outside of its own IPC calls
+function notifyDataChanged() {
+  if (mainWindow && !mainWindow.isDestroyed()) mainWindow.webContents.send('db:changed');
+}
+
 /* ---------- File helpers ---------- */
 async function ensureFiles() {
   console.log('Ensuring files exist...');
@@ -106,6 +240,8 @@ async function ensureFiles() {
     console.log('Creating default settings');
     await writeSettings(defaultSettings);
   }
+  await recoverRekey();
+  await migrateSettingsFile();
   if (!existsSync(dbPath)) {
     console.log('Creating default database with structure:', defaultDB);
     await writeJSONFile(dbPath, defaultDB, false);
@@ -159,18 +295,25 @@ async function writeJSONFile(file, data, encrypted) {
     projectsCount: data?.projects?.length || 0,
   });
 
-  if (encrypted) {
-    if (!sessionKey) throw new Error('Locked: no session key');
-    const payload = encryptPayload(data, sessionKey);
-    await atomicWrite(file, JSON.stringify(payload, null, 2));
-  } else {
-    await atomicWrite(file, JSON.stringify(data, null, 2));
-  }
+  await atomicWrite(file, dataFileContents(data, encrypted));
 
   console.log(`writeJSONFile ${file} completed successfully`);
 }
+
+// The text writeJSONFile() stores for `data`
+function dataFileContents(data, encrypted) {
+  if (!encrypted) return JSON.stringify(data, null, 2);
+  if (!sessionKey) throw new Error('Locked: no session key');
+  return JSON.stringify(encryptPayload(data, sessionKey), null, 2);
+}
+
+// Random suffix: two writes of the same file within one millisecond must not share a temp file
+function tempPathFor(file) {
+  const suffix = `${Date.now()}.${crypto.randomBytes(4).toString('hex')}`;
+  return join(dirname(file), `${basename(file)}.${suffix}.tmp`);
+}
 async function atomicWrite(file, contents) {
-  const tmp = join(dirname(file), `${basename(file)}.${Date.now()}.tmp`);
+  const tmp = tempPathFor(file);
   console.log(`atomicWrite ${file}:`, {
     tmpFile: tmp,
     contentLength: contents?.length || 0,
@@ -217,14 +360,31 @@ function decryptPayload(payload, key) {
   return JSON.parse(dec.toString('utf8'));
 }
 async function deriveKey(pass, settings) {
-  if (!settings.kdf?.salt) throw new Error('Missing KDF salt');
-  const salt = Buffer.from(settings.kdf.salt, 'base64');
+  const kdf = settings.kdf;
+  if (!kdf?.salt) throw new Error('Missing KDF salt');
+  const salt = Buffer.from(kdf.salt, 'base64');
+  if (kdf.algo === 'hkdf-sha256') {
+    return Buffer.from(crypto.hkdfSync('sha256', pass, salt, 'private-todo key slot', kdf.keyLen));
+  }
+  if (kdf.algo === 'argon2id') {
+    const hash = await argon2id({
+      password: pass,
+      salt,
+      iterations: kdf.iterations,
+      parallelism: kdf.parallelism,
+      memorySize: kdf.memoryKiB,
+      hashLength: kdf.keyLen,
+      outputType: 'binary',
+    });
+    return Buffer.from(hash);
+  }
   return new Promise((resolve, reject) => {
     crypto.scrypt(
       pass,
       salt,
-      settings.kdf.keyLen,
-      { N: settings.kdf.N, r: settings.kdf.r, p: settings.kdf.p },
+      kdf.keyLen,
+      // scrypt needs 128·N·r bytes; Node's default cap (32 MiB) is below the stronger profiles
+      { N: kdf.N, r: kdf.r, p: kdf.p, maxmem: 256 * kdf.N * kdf.r },
       (err, derived) => {
         if (err) reject(err);
         else resolve(derived);
@@ -233,14 +393,236 @@ async function deriveKey(pass, settings) {
   });
 }
 
+/* KDF profiles. Each one starts at a floor and is tuned up on this machine until a
+ * derivation takes about KDF_TARGET_MS, so unlock cost tracks the hardware. A vault
+ * whose parameters are below the floor (e.g. the original scrypt N=16384) is re-keyed
+ * with a tuned profile on the next passcode unlock. */
+const KDF_TARGET_MS = 500;
+const DEFAULT_KDF_PROFILE = 'argon2id';
+const KDF_PROFILES = {
+  argon2id: { algo: 'argon2id', memoryKiB: 65536, iterations: 2, parallelism: 1, keyLen: 32 },
+  scrypt: { algo: 'scrypt', N: 2 ** 17, r: 8, p: 1, keyLen: 32 },
+};
+const MAX_ARGON2_ITERATIONS = 10;
+const MAX_SCRYPT_N = 2 ** 18; // 256 MiB
+
+function kdfIsOutdated(kdf) {
+  const floor = KDF_PROFILES[kdf?.algo];
+  if (!floor) return true;
+  if (kdf.algo === 'argon2id')
+    return kdf.memoryKiB < floor.memoryKiB || kdf.iterations < floor.iterations;
+  return kdf.N < floor.N || kdf.r < floor.r;
+}
+
+// Profile a re-key should use: keep the user's choice unless it is below its floor
+function kdfProfileOf(kdf) {
+  return kdfIsOutdated(kdf) ? DEFAULT_KDF_PROFILE : kdf.algo;
+}
+
+async function timeKdf(kdf) {
+  const started = process.hrtime.bigint();
+  await deriveKey('benchmark', { kdf });
+  return Number(process.hrtime.bigint() - started) / 1e6;
+}
+
+// Fresh salt + parameters raised from the profile's floor towards KDF_TARGET_MS
+async function tuneKdf(profile = DEFAULT_KDF_PROFILE) {
+  const base = KDF_PROFILES[profile];
+  if (!base) throw new Error(`Unknown KDF profile: ${profile}`);
+  const kdf = { ...base, salt: crypto.randomBytes(16).toString('base64') };
+  if (kdf.algo === 'argon2id') {
+    // Cost grows linearly with iterations, so one measurement is enough
+    const ms = await timeKdf(kdf);
+    const scaled = Math.round((kdf.iterations * KDF_TARGET_MS) / Math.max(ms, 1));
+    kdf.iterations = Math.min(MAX_ARGON2_ITERATIONS, Math.max(base.iterations, scaled));
+  } else {
+    while (kdf.N < MAX_SCRYPT_N && (await timeKdf(kdf)) * 2 <= KDF_TARGET_MS) kdf.N *= 2;
+  }
+  console.log('KDF tuned:', { ...kdf, salt: undefined });
+  return kdf;
+}
+
+// A wrong key is caught at unlock instead of as an auth failure on the first read
+const KEY_CHECK_VALUE = 'private-todo-key-check';
+
+function makeKeyCheck(key) {
+  return encryptPayload({ check: KEY_CHECK_VALUE }, key);
+}
+
+async function keyMatches(key, settings) {
+  try {
+    if (settings.keyCheck) return decryptPayload(settings.keyCheck, key).check === KEY_CHECK_VALUE;
+    // Vaults from before keyCheck: db.json is the known value
+    const payload = JSON.parse(await fs.readFile(dbPath, 'utf8'));
+    if (payload?._enc !== true) return false;
+    decryptPayload(payload, key);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/* ---------- Schema migrations ---------- */
+/* DATA_MIGRATIONS[n] upgrades a db.json / archive.json payload (or a backup of one)
+ * from version n-1 to n in place; `file` is 'current' or 'archive'. Never edit a
+ * released step: add the next one and bump SCHEMA_VERSION. SETTINGS_MIGRATIONS works
+ * the same way for settings.json.
+ */
+const DATA_MIGRATIONS = {
+  // Fields introduced with recurrence, reminders, checklists, smart views and nested projects
+  2: (data, { file }) => {
+    (data.tasks || []).forEach((t) => {
+      t.dueTime ??= null;
+      t.reminders ??= [];
+      t.tags ??= [];
+      t.checklist ??= [];
+      t.autoCompleteChecklist ??= false;
+      t.recurrence ??= null;
+    });
+    (data.projects || []).forEach((p) => {
+      p.parentId ??= null;
+    });
+    if (file === 'current') data.views ??= [];
+  },
+};
+
+const SETTINGS_MIGRATIONS = {
+  2: (s) => {
+    s.closeToTray ??= true;
+  },
+  // keyCheck can't be made here (no key yet); the first unlock adds it
+  3: (s) => {
+    s.keyCheck ??= null;
+    s.failedUnlocks ??= 0;
+    s.lastFailedUnlockAt ??= null;
+    s.wipeAfterFailedUnlocks ??= 0;
+  },
+  4: (s) => {
+    s.autoLock ??= structuredClone(defaultSettings.autoLock);
+  },
+  // An encrypted vault keeps its `kdf` until the next passcode unlock adopts key slots
+  5: (s) => {
+    s.keySlots ??= [];
+  },
+  6: (s) => {
+    s.calendarFeed ??= structuredClone(defaultSettings.calendarFeed);
+  },
+};
+
+function assertSchemaSupported(data, name, supported = SCHEMA_VERSION) {
+  const v = data?.version || 1;
+  if (v > supported)
+    throw new Error(
+      `${name} was written by a newer version of Private Todo (schema ${v}, ` +
+        `this app reads up to ${supported}). Update the app to open it.`,
+    );
+}
+
+// Runs every pending step in order; returns true if anything changed
+function runMigrations(data, registry, target, ctx) {
+  const from = data.version || 1;
+  for (let v = from + 1; v <= target; v++) {
+    registry[v](data, ctx);
+    data.version = v;
+  }
+  return from < target;
+}
+
+function migrateData(data, file) {
+  return runMigrations(data, DATA_MIGRATIONS, SCHEMA_VERSION, { file });
+}
+
+/* A copy is only there to fall back on if a migration fails part-way, so it is removed
+ * as soon as the upgraded files are written. Copies left by failed attempts are capped,
+ * and dropped whenever the key material changes (encryption on/off, re-key, new
+ * passcode): they would otherwise keep plaintext or old key slots around. */
+const MAX_PRE_MIGRATION_COPIES = 3;
+
+// Returns the directory holding the copy
+async function keepPreMigrationCopy(files, label) {
+  const dir = join(preMigrationDir, `${label}-${Date.now()}`);
+  await fs.mkdir(dir, { recursive: true });
+  for (const f of files.filter((x) => existsSync(x))) {
+    await fs.copyFile(f, join(dir, basename(f)));
+  }
+  console.log('Pre-migration copy kept in', dir);
+  const copies = (await fs.readdir(preMigrationDir))
+    .map((name) => ({ name, at: Number(name.match(/-(\d+)$/)?.[1]) || 0 }))
+    .sort((a, b) => b.at - a.at);
+  for (const { name } of copies.slice(MAX_PRE_MIGRATION_COPIES)) {
+    await fs.rm(join(preMigrationDir, name), { recursive: true, force: true });
+  }
+  return dir;
+}
+
+async function discardPreMigrationCopies(dir = preMigrationDir) {
+  await fs.rm(dir, { recursive: true, force: true });
+  await fs.rmdir(preMigrationDir).catch(() => {}); // only goes once no copies are left
+}
+
+// Called once at startup, before anything reads settings
+async function migrateSettingsFile() {
+  const s = await readSettings();
+  assertSchemaSupported(s, 'settings.json', SETTINGS_VERSION);
+  if ((s.version || 1) >= SETTINGS_VERSION) return;
+  const copy = await keepPreMigrationCopy([settingsPath], `settings-v${s.version || 1}`);
+  runMigrations(s, SETTINGS_MIGRATIONS, SETTINGS_VERSION, {});
+  await writeSettings(s);
+  await discardPreMigrationCopies(copy);
+}
+
 /* ---------- DB merge & archive ---------- */
+/* While unlocked the decrypted data stays in `model`. Each save appends one record
+ * (the JSON of every task/project/view it changed, AES-GCM encrypted like the data
+ * files) to journal.jsonl instead of rewriting db.json and archive.json; those are
+ * only rewritten by compactJournal(). Each data file stores the last journal `seq`
+ * it contains, so replay after a crash applies exactly the newer records per file.
+ */
+const JOURNAL_COMPACT_RECORDS = 200;
+const JOURNAL_COMPACT_MS = 5 * 60 * 1000;
+
+let model = null; // { current, archive } as last committed
+let modelSnapshot = null; // snapshotRecords(model), the base for the next diff
+let modelSeq = 0; // seq of the last journal record included in `model`
+let modelLoading = null;
+let journalCount = 0; // records appended since the last compaction
+let journalQueue = Promise.resolve();
+const loadedSnapshots = new WeakMap(); // copy's `current` -> modelSnapshot it was cloned from
+
+// Handlers get a private copy, so a handler that throws halfway changes nothing
 async function loadAllData(settings) {
+  if (!model) {
+    modelLoading ??= loadModel(settings).finally(() => {
+      modelLoading = null;
+    });
+    await modelLoading;
+  }
+  if (!model) throw new Error('Locked: no session key');
+  const { current, archive } = structuredClone({ current: model.current, archive: model.archive });
+  loadedSnapshots.set(current, modelSnapshot);
+
+  const projMap = new Map();
+  [...(archive.projects || []), ...(current.projects || [])].forEach((p) => projMap.set(p.id, p));
+  const projects = [...projMap.values()];
+  const tasks = [...(current.tasks || []), ...(archive.tasks || [])];
+
+  console.log('loadAllData - merged result:', {
+    projectsCount: projects.length,
+    tasksCount: tasks.length,
+    currentProjectsCount: current.projects?.length || 0,
+    archiveProjectsCount: archive.projects?.length || 0,
+  });
+
+  return { projects, tasks, current, archive };
+}
+
+async function loadModel(settings) {
   const enc = !!settings.encryptionEnabled;
   const current = (await readJSONFile(dbPath, enc)) ?? structuredClone(defaultDB);
-  let archive = { version: 1, createdAt: current.createdAt, projects: [], tasks: [] };
+  let archive = { version: SCHEMA_VERSION, createdAt: current.createdAt, projects: [], tasks: [] };
   if (existsSync(archivePath)) archive = await readJSONFile(archivePath, enc);
 
-  console.log('loadAllData - raw data:', {
+  console.log('loadModel - raw data:', {
     hasCurrent: !!current,
     currentProjects: current?.projects,
     currentProjectsLength: current?.projects?.length || 0,
@@ -249,19 +631,136 @@ async function loadAllData(settings) {
     archiveProjectsLength: archive?.projects?.length || 0,
   });
 
-  const projMap = new Map();
-  [...(archive.projects || []), ...(current.projects || [])].forEach((p) => projMap.set(p.id, p));
-  const projects = [...projMap.values()];
-  const tasks = [...(current.tasks || []), ...(archive.tasks || [])];
+  assertSchemaSupported(current, 'db.json');
+  assertSchemaSupported(archive, 'archive.json');
 
-  console.log('loadAllData - merged result:', {
-    projectsCount: projects.length,
-    tasksCount: tasks.length,
-    currentProjectsCount: current.projects?.length || 0,
-    archiveProjectsCount: archive.projects?.length || 0,
+  // Crash recovery: bring each file up to date with the records it is missing
+  const merged = { current, archive };
+  const { records, clean } = await readJournal(enc);
+  records.forEach((rec) => replayJournalRecord(merged, rec));
+
+  // Records are schema-agnostic JSON, so migrating after the replay covers them too
+  const fromVersion = Math.min(current.version || 1, archive.version || 1);
+  let copy = null;
+  if (fromVersion < SCHEMA_VERSION) {
+    copy = await keepPreMigrationCopy([dbPath, archivePath, journalPath], `v${fromVersion}`);
+    migrateData(current, 'current');
+    migrateData(archive, 'archive');
+  }
+
+  model = merged;
+  modelSnapshot = snapshotRecords(merged, null);
+  modelSeq = Math.max(current.journalSeq || 0, archive.journalSeq || 0, records.at(-1)?.seq || 0);
+  journalCount = records.length;
+  if (records.length || !clean || fromVersion < SCHEMA_VERSION) {
+    console.log(`Recovered ${records.length} journal record(s); compacting`);
+    await compactJournal(settings, { force: true });
+  }
+  if (copy) await discardPreMigrationCopies(copy);
+}
+
+async function readJournal(enc) {
+  if (!existsSync(journalPath)) return { records: [], clean: true };
+  const lines = (await fs.readFile(journalPath, 'utf8')).split('\n').filter(Boolean);
+  const records = [];
+  for (const line of lines) {
+    try {
+      const raw = JSON.parse(line);
+      // An encrypted vault only trusts authenticated records
+      if (enc !== (raw?._enc === true)) throw new Error('Record encryption mismatch');
+      const rec = enc ? decryptPayload(raw, sessionKey) : raw;
+      if (!(rec.seq > (records.at(-1)?.seq || 0))) throw new Error('Record out of order');
+      records.push(rec);
+    } catch (e) {
+      // A torn final append (or a tampered record) ends the usable journal
+      console.warn(`Journal replay stopped at record ${records.length + 1}:`, e.message);
+      return { records, clean: false };
+    }
+  }
+  return { records, clean: true };
+}
+
+function replayJournalRecord(merged, rec) {
+  const fresh = (where) => rec.seq > (merged[where].journalSeq || 0);
+  applyHistoryEntry(
+    merged,
+    {
+      changes: rec.changes.filter((c) => fresh(c.key.split(':')[1])),
+      viewOrder: fresh('current') ? rec.viewOrder : {},
+    },
+    'after',
+  );
+}
+
+// Journal appends, commits and compactions run strictly one after another
+function serializeJournal(fn) {
+  const run = journalQueue.then(fn);
+  journalQueue = run.catch(() => {});
+  return run;
+}
+
+async function appendJournal(settings, rec) {
+  let payload = rec;
+  if (settings.encryptionEnabled) {
+    if (!sessionKey) throw new Error('Locked: no session key');
+    payload = encryptPayload(rec, sessionKey);
+  }
+  const fh = await fs.open(journalPath, 'a');
+  try {
+    await fh.appendFile(`${JSON.stringify(payload)}\n`, 'utf8');
+    await fh.sync();
+  } finally {
+    await fh.close();
+  }
+  journalCount += 1;
+}
+
+/** Folds the journal into db.json / archive.json (via atomicWrite) and empties it.
+ * force: rewrite even with no pending records (e.g. to drop a torn journal tail)
+ * drop: forget the decrypted model afterwards (lock, encryption changes)
+ */
+function compactJournal(settings, { force = false, drop = false } = {}) {
+  return serializeJournal(async () => {
+    try {
+      if (!model || !(journalCount || force)) return;
+      const enc = !!settings.encryptionEnabled;
+      const { current, archive } = model;
+      current.journalSeq = modelSeq;
+      archive.journalSeq = modelSeq;
+      await writeJSONFile(dbPath, current, enc);
+      if ((archive.tasks?.length || 0) > 0 || existsSync(archivePath))
+        await writeJSONFile(archivePath, archive, enc);
+      await atomicWrite(journalPath, '');
+      journalCount = 0;
+    } finally {
+      // Even if compaction failed the records are still on disk for the next replay
+      if (drop) forgetModel();
+    }
   });
+}
 
-  return { projects, tasks, current, archive };
+function forgetModel() {
+  model = null;
+  modelSnapshot = null;
+  modelSeq = 0;
+}
+
+// The files on disk were replaced wholesale (restore, reset): old records no longer apply
+function discardJournal() {
+  return serializeJournal(async () => {
+    forgetModel();
+    journalCount = 0;
+    await fs.unlink(journalPath).catch(() => {});
+  });
+}
+
+function startJournalCompaction() {
+  setInterval(() => {
+    if (!journalCount) return;
+    readSettings()
+      .then((s) => compactJournal(s))
+      .catch((e) => console.error('Journal compaction failed:', e));
+  }, JOURNAL_COMPACT_MS);
 }
 async function saveCurrentAndMaybeArchive(settings, merged) {
   const enc = !!settings.encryptionEnabled;
@@ -286,434 +785,3304 @@ async function saveCurrentAndMaybeArchive(settings, merged) {
         (a, b) =>
           new Date(a.dateCompleted || a.createdAt) - new Date(b.dateCompleted || b.createdAt),
       );
+    // Checklist steps are embedded in each task, so they move with their parent
     const toMove = completed.slice(0, Math.max(0, overflow));
     if (toMove.length) {
       const moveIds = new Set(toMove.map((t) => t.id));
       current.tasks = current.tasks.filter((t) => !moveIds.has(t.id));
       archive.tasks = [...(archive.tasks || []), ...toMove];
-      if (!archive.version) archive.version = 1;
+      if (!archive.version) archive.version = SCHEMA_VERSION;
       if (!archive.createdAt) archive.createdAt = new Date().toISOString();
     }
   }
 
-  console.log('About to write current DB with projects count:', current.projects?.length || 0);
-  await writeJSONFile(dbPath, current, enc);
-  console.log('Current DB written successfully');
-
-  if ((archive.tasks?.length || 0) > 0 || existsSync(archivePath)) {
-    console.log('About to write archive with projects count:', archive.projects?.length || 0);
-    await writeJSONFile(archivePath, archive, enc);
-    console.log('Archive written successfully');
+  const after = snapshotRecords(merged);
+  await serializeJournal(async () => {
+    // Locked, reset, restored or saved by someone else since this copy was loaded
+    if (!model || loadedSnapshots.get(current) !== modelSnapshot) throw conflictError();
+    const { changes, viewOrder } = diffSnapshots(modelSnapshot, after);
+    const seq = modelSeq + 1;
+    if (changes.length || viewOrder.changed) {
+      await appendJournal(settings, {
+        seq,
+        changes: changes.map(({ key, after: value }) => ({ key, after: value })),
+        viewOrder: { after: viewOrder.after },
+      });
+      modelSeq = seq;
+    }
+    model = { current, archive };
+    modelSnapshot = after;
+  });
+  if (journalCount >= JOURNAL_COMPACT_RECORDS) {
+    compactJournal(settings).catch((e) => console.error('Journal compaction failed:', e));
   }
+
+  await rebuildReminderIndex([...(current.tasks || []), ...(archive.tasks || [])]);
+  scheduleCalendarFeed();
 }
 
-/* ---------- Biometrics ---------- */
-function biometricsAvailable() {
+/* ---------- Reminders ---------- */
+const REMINDER_CHECK_MS = 30 * 1000;
+const REMINDER_CATCHUP_MS = 7 * 24 * 60 * 60 * 1000; // missed reminders older than this are dropped
+const SNOOZE_MINUTES = 10;
+const DEFAULT_DUE_TIME = '09:00'; // reminders on date-only tasks are relative to this
+const MAX_SINGLE_NOTIFICATIONS = 3;
+
+const liveNotifications = new Set(); // keep references so action handlers aren't GC'd
+let reminderIndexQueue = Promise.resolve();
+
+// The schedule (task ids and fire times) is kept in memory only and rebuilt from the
+// model on unlock, restore and every save. reminders.json holds just the time of the
+// last check, so reminders missed while the app was closed still fire once it is built.
+const reminderIndex = { built: false, lastCheckedAt: null, entries: [], snoozes: [] };
+
+function reminderEntries(t) {
+  if (t.completed || !t.dueDate || !t.reminders?.length) return [];
+  const due = ymdToDate(t.dueDate);
+  const [h, m] = (t.dueTime || DEFAULT_DUE_TIME).split(':').map(Number);
+  due.setHours(h, m, 0, 0);
+  return t.reminders.map((offset) => {
+    const fireAt = new Date(due.getTime() - offset * 60 * 1000).toISOString();
+    return { key: `${t.id}:${offset}:${fireAt}`, taskId: t.id, fireAt };
+  });
+}
+
+async function readLastReminderCheck() {
+  if (!existsSync(remindersPath)) return new Date().toISOString();
   try {
-    return (
-      process.platform === 'darwin' &&
-      typeof systemPreferences.canPromptTouchID === 'function' &&
-      systemPreferences.canPromptTouchID()
-    );
-  } catch {
-    return false;
+    const { lastCheckedAt } = JSON.parse(await fs.readFile(remindersPath, 'utf8'));
+    return lastCheckedAt || new Date().toISOString();
+  } catch (e) {
+    console.warn('Reminder check time unreadable, starting fresh:', e.message);
+    return new Date().toISOString();
   }
 }
 
-/* ---------- IPC ---------- */
-
-// Settings / Security
-ipcMain.handle('security:getConfig', async () => {
-  const s = await readSettings();
-  return {
-    encryptionEnabled: s.encryptionEnabled,
-    useBiometrics: s.useBiometrics,
-    biometricsAvailable: biometricsAvailable(),
-  };
-});
+// Serializes changes to the schedule; only a new lastCheckedAt goes to disk (which also
+// replaces a reminders.json from before, when the whole schedule was written there)
+function updateReminderIndex(fn) {
+  const run = reminderIndexQueue.then(async () => {
+    reminderIndex.lastCheckedAt ??= await readLastReminderCheck();
+    const lastCheckedAt = reminderIndex.lastCheckedAt;
+    await fn(reminderIndex);
+    if (reminderIndex.lastCheckedAt !== lastCheckedAt) {
+      await atomicWrite(
+        remindersPath,
+        JSON.stringify({ version: 2, lastCheckedAt: reminderIndex.lastCheckedAt }, null, 2),
+      );
+    }
+  });
+  reminderIndexQueue = run.catch((e) => console.error('Reminder index update failed:', e));
+  return run;
+}
 
-ipcMain.handle('security:enable', async (_evt, { passcode, useBiometrics }) => {
-  let s = await readSettings();
-  if (s.encryptionEnabled) return { ok: true }; // already on
-  // create salt
-  s.kdf.salt = crypto.randomBytes(16).toString('base64');
-  const key = await deriveKey(passcode, s);
-  sessionKey = key; // keep in-memory
-  s.encryptionEnabled = true;
-  s.useBiometrics = !!useBiometrics && biometricsAvailable();
-  await writeSettings(s);
+async function rebuildReminderIndex(tasks) {
+  const open = tasks.filter((t) => !t.completed);
+  const openIds = new Set(open.map((t) => t.id));
+  await updateReminderIndex((idx) => {
+    idx.entries = open.flatMap(reminderEntries);
+    idx.snoozes = idx.snoozes.filter((z) => openIds.has(z.taskId));
+    idx.built = true;
+  });
+}
 
-  // Store key in Keychain if biometrics chosen
-  if (s.useBiometrics) {
-    try {
-      await keytar.setPassword(KEYTAR_SERVICE, KEYTAR_ACCOUNT, key.toString('base64'));
-    } catch (e) {
-      console.warn('Keychain save failed, continuing without biometrics key:', e);
-      s.useBiometrics = false;
-      await writeSettings(s);
-    }
+// Rebuild from whatever is on disk (at startup, after restore/unlock); no-op while locked
+async function refreshReminderIndex(s) {
+  if (s.encryptionEnabled && !sessionKey) return;
+  try {
+    const merged = await loadAllData(s);
+    await rebuildReminderIndex(merged.tasks);
+  } catch (e) {
+    console.warn('Reminder index refresh failed:', e.message);
   }
+}
 
-  // Encrypt existing files
-  const currentPlain = existsSync(dbPath)
-    ? JSON.parse(await fs.readFile(dbPath, 'utf8'))
-    : structuredClone(defaultDB);
-  await writeJSONFile(dbPath, currentPlain, true);
-
-  if (existsSync(archivePath)) {
-    const archPlain = JSON.parse(await fs.readFile(archivePath, 'utf8'));
-    await writeJSONFile(archivePath, archPlain, true);
+function startReminderScheduler() {
+  if (!Notification.isSupported()) {
+    console.warn('Notifications not supported on this platform; reminders disabled');
+    return;
   }
-  return { ok: true };
-});
+  // First run also catches up on anything that fired while the app was closed; a locked
+  // vault does so after unlock, once the schedule has been built
+  readSettings()
+    .then(refreshReminderIndex)
+    .catch((e) => console.warn('Reminder index refresh failed:', e.message))
+    .then(checkReminders);
+  setInterval(checkReminders, REMINDER_CHECK_MS);
+  powerMonitor.on('resume', checkReminders);
+}
 
-ipcMain.handle('security:disable', async () => {
-  // Not exposed in UI by default; left for completeness
-  let s = await readSettings();
-  if (!s.encryptionEnabled) return { ok: true };
-  if (!sessionKey) throw new Error('Unlock required to disable encryption');
+async function checkReminders() {
+  let fired = [];
+  let missed = false;
+  await updateReminderIndex((idx) => {
+    if (!idx.built) return; // keeps lastCheckedAt, so nothing is skipped
+    const now = Date.now();
+    const lastChecked = Date.parse(idx.lastCheckedAt) || now;
+    const since = Math.max(lastChecked, now - REMINDER_CATCHUP_MS);
+    const dueEntries = idx.entries.filter((e) => {
+      const at = Date.parse(e.fireAt);
+      return at > since && at <= now;
+    });
+    const dueSnoozes = idx.snoozes.filter((z) => Date.parse(z.fireAt) <= now);
+    idx.snoozes = idx.snoozes.filter((z) => Date.parse(z.fireAt) > now);
+    idx.lastCheckedAt = new Date(now).toISOString();
+    fired = [...dueEntries, ...dueSnoozes];
+    missed = now - lastChecked > REMINDER_CHECK_MS * 2;
+  }).catch(() => {});
 
-  // Decrypt files and rewrite plaintext
-  const current = await readJSONFile(dbPath, true);
-  await writeJSONFile(dbPath, current, false);
-  if (existsSync(archivePath)) {
-    const arch = await readJSONFile(archivePath, true);
-    await writeJSONFile(archivePath, arch, false);
-  }
-  s.encryptionEnabled = false;
-  s.useBiometrics = false;
-  await writeSettings(s);
+  if (!fired.length) return;
   try {
-    await keytar.deletePassword(KEYTAR_SERVICE, KEYTAR_ACCOUNT);
-  } catch {
-    console.warn('Keychain delete failed, continuing without biometrics key');
+    await showReminderNotifications([...new Set(fired.map((e) => e.taskId))], missed);
+  } catch (e) {
+    console.error('Failed to show reminders:', e);
   }
-  sessionKey = null;
-  return { ok: true };
-});
+}
 
-ipcMain.handle('security:unlock', async (_evt, { passcode }) => {
-  console.log('=== SECURITY UNLOCK CALLED ===');
-  
+async function showReminderNotifications(taskIds, missed) {
   const s = await readSettings();
-  console.log('Settings loaded:', s);
-  
-  if (!s.encryptionEnabled) return { ok: true }; // nothing to unlock
+  const prefix = missed ? 'Missed: ' : '';
 
-  console.log('Security unlock called with:', { 
-    hasPasscode: !!passcode, 
-    useBiometrics: s.useBiometrics, 
-    biometricsAvailable: biometricsAvailable(),
-    settings: s
+  // Locked vault: count only, never titles
+  if (s.encryptionEnabled && !sessionKey) {
+    const n = taskIds.length;
+    showReminderNotification({
+      title: 'Private Todo',
+      body: `${prefix}${n} task${n === 1 ? '' : 's'} due`,
+      taskIds,
+      canComplete: false,
+    });
+    return;
+  }
+
+  const merged = await loadAllData(s);
+  const tasks = taskIds
+    .map((id) => merged.tasks.find((t) => t.id === id))
+    .filter((t) => t && !t.completed);
+  if (!tasks.length) return;
+
+  if (tasks.length > MAX_SINGLE_NOTIFICATIONS) {
+    showReminderNotification({
+      title: `${prefix}${tasks.length} tasks due`,
+      body: tasks.map((t) => t.title).join(', '),
+      taskIds: tasks.map((t) => t.id),
+      canComplete: false,
+    });
+    return;
+  }
+  tasks.forEach((t) =>
+    showReminderNotification({
+      title: `${prefix}${t.title}`,
+      body: `Due ${t.dueDate}${t.dueTime ? ` ${t.dueTime}` : ''}`,
+      taskIds: [t.id],
+      canComplete: true,
+    }),
+  );
+}
+
+function showReminderNotification({ title, body, taskIds, canComplete }) {
+  // Action buttons only render on macOS; elsewhere clicking opens the app
+  const actions = [{ type: 'button', text: `Snooze ${SNOOZE_MINUTES} min` }];
+  if (canComplete) actions.push({ type: 'button', text: 'Complete' });
+  const n = new Notification({ title, body, actions });
+  n.on('action', (_e, index) => {
+    if (index === 0) snoozeReminders(taskIds);
+    else completeFromReminder(taskIds[0]);
   });
+  n.on('click', showMainWindow);
+  n.on('close', () => liveNotifications.delete(n));
+  liveNotifications.add(n);
+  n.show();
+}
 
-  let key = null;
-  let biometricsAttempted = false;
+function snoozeReminders(taskIds) {
+  const fireAt = new Date(Date.now() + SNOOZE_MINUTES * 60 * 1000).toISOString();
+  return updateReminderIndex((idx) => {
+    idx.snoozes = [
+      ...idx.snoozes.filter((z) => !taskIds.includes(z.taskId)),
+      ...taskIds.map((taskId) => ({ key: `${taskId}:snooze:${fireAt}`, taskId, fireAt })),
+    ];
+  }).catch(() => {});
+}
 
-  // Try biometrics first if enabled and available and no passcode provided
-  if (!passcode && s.useBiometrics && biometricsAvailable()) {
-    biometricsAttempted = true;
-    console.log('Biometrics are enabled and available, attempting biometric unlock...');
-    try {
-      console.log('About to prompt Touch ID...');
-      await systemPreferences.promptTouchID('Unlock your tasks'); // UI gate
-      console.log('Touch ID prompt completed successfully');
-      
-      console.log('About to access keychain...');
-      const stored = await keytar.getPassword(KEYTAR_SERVICE, KEYTAR_ACCOUNT);
-      console.log('Keychain access result:', { hasStored: !!stored, storedLength: stored?.length });
-      
-      if (stored) {
-        console.log('Stored key found, converting to buffer...');
-        key = Buffer.from(stored, 'base64');
-        sessionKey = key;
-        console.log('Unlocked successfully with biometrics, sessionKey set');
-        return { ok: true, method: 'biometrics' };
-      } else {
-        console.log('No stored key found in keychain - returning NO_BIO_KEY without falling back');
-        return { ok: false, code: 'NO_BIO_KEY', reason: 'Missing keychain entry' };
-      }
-    } catch (e) {
-      console.log('Biometrics failed with error:', e.message);
-      console.log('Error details:', e);
-      console.log('Error stack:', e.stack);
-      // Prompt canceled or Keychain failure; will fall back to passcode.
+async function completeFromReminder(taskId) {
+  try {
+    const s = await readSettings();
+    if (s.encryptionEnabled && !sessionKey) {
+      showMainWindow();
+      return;
     }
-  } else {
-    console.log('Biometrics not available or not enabled:', { 
-      useBiometrics: s.useBiometrics, 
-      biometricsAvailable: biometricsAvailable() 
+    await serializeMutation(async () => {
+      const merged = await loadAllData(s);
+      const before = loadedSnapshot(merged);
+      applyTaskUpdate(merged, { id: taskId, completed: true });
+      await saveCurrentAndMaybeArchive(s, merged);
+      recordHistory('Complete task', before, merged);
     });
+    notifyDataChanged();
+  } catch (e) {
+    console.error('Complete from reminder failed:', e);
   }
+}
 
-  // Fallback: derive from passcode (only if biometrics failed or not enabled)
-  if (!passcode) {
-    console.log('No passcode provided after biometric path; returning NEED_PASSCODE');
-    return { ok: false, code: 'NEED_PASSCODE' };
+/* ---------- Undo / Redo ---------- */
+// Each entry holds the before/after JSON of every task, project and view record a
+// mutation touched. History lives in memory only: it is never written to disk and
+// is dropped on lock, reset and restore.
+const MAX_HISTORY = 100;
+let undoStack = [];
+let redoStack = [];
+
+// `base` (the committed snapshot a copy was loaded from) lets unchanged records reuse
+// their JSON, so only records that actually differ are re-serialized
+function snapshotRecords(merged, base = loadedSnapshots.get(merged.current) ?? null) {
+  const records = new Map();
+  const objects = new Map();
+  const add = (kind, where, list) =>
+    (list || []).forEach((r) => {
+      const key = `${kind}:${where}:${r.id}`;
+      const prev = base?.objects.get(key);
+      records.set(key, prev && sameJSON(prev, r) ? base.records.get(key) : JSON.stringify(r));
+      objects.set(key, r);
+    });
+  add('task', 'current', merged.current.tasks);
+  add('task', 'archive', merged.archive.tasks);
+  add('project', 'current', merged.current.projects);
+  add('project', 'archive', merged.archive.projects);
+  add('view', 'current', merged.current.views);
+  // Views are ordered by array position rather than an `order` field
+  return { records, objects, viewOrder: (merged.current.views || []).map((v) => v.id) };
+}
+
+// Taken right after loadAllData, before any change: the snapshot the copy was cloned from
+function loadedSnapshot(merged) {
+  return loadedSnapshots.get(merged.current) ?? snapshotRecords(merged);
+}
+
+// Deep equality for JSON data (undefined-valued keys are ignored, as JSON.stringify does)
+function sameJSON(a, b) {
+  if (a === b) return true;
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object') return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+  const ka = Object.keys(a).filter((k) => a[k] !== undefined);
+  const kb = Object.keys(b).filter((k) => b[k] !== undefined);
+  return ka.length === kb.length && ka.every((k) => sameJSON(a[k], b[k]));
+}
+
+// Record-level differences between two snapshots; shared with the storage journal
+function diffSnapshots(before, after) {
+  const changes = [];
+  before.records.forEach((json, key) => {
+    const next = after.records.get(key) ?? null;
+    if (next !== json) changes.push({ key, before: json, after: next });
+  });
+  after.records.forEach((json, key) => {
+    if (!before.records.has(key)) changes.push({ key, before: null, after: json });
+  });
+  const changed = before.viewOrder.join() !== after.viewOrder.join();
+  return { changes, viewOrder: { before: before.viewOrder, after: after.viewOrder, changed } };
+}
+
+// Call after a successful save so archiving done by the save is part of the entry
+function recordHistory(label, before, merged) {
+  // The save just committed this exact data, so its snapshot can be reused
+  const after = merged.current === model?.current ? modelSnapshot : snapshotRecords(merged);
+  const { changes, viewOrder } = diffSnapshots(before, after);
+  if (!changes.length && !viewOrder.changed) return;
+
+  undoStack.push({ label, changes, viewOrder });
+  if (undoStack.length > MAX_HISTORY) undoStack.shift();
+  redoStack = [];
+}
+
+function clearHistory() {
+  undoStack = [];
+  redoStack = [];
+}
+
+// Puts every record of `entry` back to its `side` ('before' | 'after') state
+function applyHistoryEntry(merged, entry, side) {
+  entry.changes.forEach((c) => {
+    const [kind, where, ...rest] = c.key.split(':');
+    const id = rest.join(':');
+    const field = `${kind}s`;
+    if (!Array.isArray(merged[where][field])) merged[where][field] = [];
+    const value = c[side] === null ? null : JSON.parse(c[side]);
+    // A task may have been archived since; it must only ever exist in one file
+    if (kind === 'task' && value) {
+      const other = where === 'current' ? 'archive' : 'current';
+      merged[other].tasks = (merged[other].tasks || []).filter((t) => t.id !== id);
+    }
+    const list = merged[where][field];
+    const idx = list.findIndex((r) => r.id === id);
+    if (idx >= 0 && value) list[idx] = value;
+    else if (idx >= 0) list.splice(idx, 1);
+    else if (value) list.push(value);
+  });
+
+  const order = entry.viewOrder[side];
+  if (!order) return;
+  const views = merged.current.views || [];
+  const byId = new Map(views.map((v) => [v.id, v]));
+  const ordered = order.map((id) => byId.get(id)).filter(Boolean);
+  merged.current.views = [...new Set([...ordered, ...views])];
+}
+
+async function stepHistory(from, to, side) {
+  const entry = from.at(-1);
+  if (!entry) return { ok: false, code: 'EMPTY' };
+  const s = await readSettings();
+  const merged = await loadAllData(s);
+  applyHistoryEntry(merged, entry, side);
+  await saveCurrentAndMaybeArchive(s, merged);
+  from.pop();
+  to.push(entry);
+  return { ok: true, label: entry.label };
+}
+
+/* ---------- Snapshots ---------- */
+/* snapshots/snapshot-<epoch ms>.json = { snapshot: 1, createdAt, data } where `data`
+ * is encryptPayload({ current, archive }) in an encrypted vault, else the plain object.
+ * Retention: the newest per hour for a day, then the newest per day for 30 days.
+ */
+const SNAPSHOT_CHECK_MS = 10 * 60 * 1000;
+const SNAPSHOT_EVERY_MS = 60 * 60 * 1000;
+const SNAPSHOT_HOURLY_FOR_MS = 24 * 60 * 60 * 1000;
+const SNAPSHOT_DAILY_FOR_MS = 30 * 24 * 60 * 60 * 1000;
+const SNAPSHOT_DIFF_SAMPLES = 20;
+const SNAPSHOT_NAME_RE = /^snapshot-(\d+)\.json$/;
+
+let lastSnapshotSeq = null; // modelSeq of the last snapshot; unchanged data isn't re-snapshotted
+const snapshotSummaries = new Map(); // file name -> counts (snapshot files never change content)
+
+function startSnapshotSchedule() {
+  // Queued with mutations so a snapshot can't be sealed under a key that is being replaced
+  const tick = () =>
+    serializeMutation(maybeTakeSnapshot).catch((e) =>
+      console.error('Automatic snapshot failed:', e),
+    );
+  setInterval(tick, SNAPSHOT_CHECK_MS);
+  tick();
+}
+
+async function maybeTakeSnapshot() {
+  const s = await readSettings();
+  if (s.encryptionEnabled && !sessionKey) return; // locked
+  await loadAllData(s);
+  if (modelSeq === lastSnapshotSeq) return;
+  const latest = (await listSnapshotFiles())[0];
+  if (latest && Date.now() - latest.at < SNAPSHOT_EVERY_MS) return;
+  await takeSnapshot(s);
+}
+
+// Newest first
+async function listSnapshotFiles() {
+  if (!existsSync(snapshotsDir)) return [];
+  return (await fs.readdir(snapshotsDir))
+    .map((name) => ({ name, m: name.match(SNAPSHOT_NAME_RE) }))
+    .filter((x) => x.m)
+    .map(({ name, m }) => ({ name, at: Number(m[1]), path: join(snapshotsDir, name) }))
+    .sort((a, b) => b.at - a.at);
+}
+
+function snapshotKey(settings) {
+  if (!settings.encryptionEnabled) return null;
+  if (!sessionKey) throw new Error('Locked: no session key');
+  return sessionKey;
+}
+
+function sealSnapshotData(data, key) {
+  return key ? encryptPayload(data, key) : data;
+}
+
+function openSnapshotData(wrapper, key) {
+  const sealed = wrapper?.data?._enc === true;
+  if (key && !sealed) throw new Error('Unencrypted snapshot in an encrypted vault');
+  if (!key && sealed) throw new Error('Locked: no session key');
+  return sealed ? decryptPayload(wrapper.data, key) : wrapper.data;
+}
+
+// `keep`: a snapshot name that pruning must not remove (the one being restored)
+async function takeSnapshot(settings, { keep = null } = {}) {
+  await loadAllData(settings); // make sure the model is there
+  const createdAt = new Date();
+  const data = { current: model.current, archive: model.archive };
+  const wrapper = {
+    snapshot: 1,
+    createdAt: createdAt.toISOString(),
+    data: sealSnapshotData(data, snapshotKey(settings)),
+  };
+  await fs.mkdir(snapshotsDir, { recursive: true });
+  await atomicWrite(
+    join(snapshotsDir, `snapshot-${createdAt.getTime()}.json`),
+    JSON.stringify(wrapper, null, 2),
+  );
+  lastSnapshotSeq = modelSeq;
+  await pruneSnapshots(createdAt.getTime(), keep);
+}
+
+async function pruneSnapshots(now = Date.now(), keep = null) {
+  const kept = new Set();
+  for (const sn of await listSnapshotFiles()) {
+    if (sn.name === keep) continue;
+    const age = now - sn.at;
+    const d = new Date(sn.at);
+    let bucket = null;
+    if (age <= SNAPSHOT_HOURLY_FOR_MS) bucket = `h${Math.floor(sn.at / SNAPSHOT_EVERY_MS)}`;
+    else if (age <= SNAPSHOT_DAILY_FOR_MS)
+      bucket = `d${d.getFullYear()}-${d.getMonth()}-${d.getDate()}`;
+    if (bucket && !kept.has(bucket)) {
+      kept.add(bucket);
+      continue;
+    }
+    await fs.unlink(sn.path).catch(() => {});
+    snapshotSummaries.delete(sn.name);
   }
+}
 
-  console.log('Attempting passcode unlock...');
-  key = await deriveKey(passcode, s);
-  sessionKey = key;
-  console.log('Unlocked successfully with passcode');
-  
-  // If biometrics are enabled, try to re-encrypt the key with biometrics after successful passcode unlock
-  if (s.useBiometrics && biometricsAvailable()) {
-    try {
-      console.log('Attempting to re-encrypt key with biometrics after successful passcode unlock...');
-      await keytar.setPassword(KEYTAR_SERVICE, KEYTAR_ACCOUNT, key.toString('base64'));
-      console.log('Successfully re-encrypted key with biometrics');
-      
-      // Update settings to ensure biometrics flag is set
-      if (!s.useBiometrics) {
-        s.useBiometrics = true;
-        await writeSettings(s);
-        console.log('Updated settings to enable biometrics');
+async function readSnapshot(settings, name) {
+  if (!SNAPSHOT_NAME_RE.test(String(name))) throw new Error('Invalid snapshot');
+  const file = join(snapshotsDir, name);
+  if (!existsSync(file)) throw new Error('Snapshot not found');
+  const wrapper = JSON.parse(await fs.readFile(file, 'utf8'));
+  const data = openSnapshotData(wrapper, snapshotKey(settings));
+  assertSchemaSupported(data.current, 'The snapshot');
+  migrateData(data.current, 'current');
+  migrateData(data.archive, 'archive');
+  return { createdAt: wrapper.createdAt, current: data.current, archive: data.archive };
+}
+
+// A snapshot the key at hand can't open is moved out of the way (kept, in case it can be
+// recovered by hand) so it doesn't stop a key switch halfway through
+async function setSnapshotAside(sn, err) {
+  console.warn(`Snapshot ${sn.name} could not be opened, moving it aside:`, err.message);
+  await fs.mkdir(unreadableSnapshotsDir, { recursive: true });
+  await fs.rename(sn.path, join(unreadableSnapshotsDir, sn.name));
+  snapshotSummaries.delete(sn.name);
+}
+
+// The wrapper and its data, or null once a snapshot that can't be opened is set aside
+async function openSnapshotFile(sn, key) {
+  try {
+    const wrapper = JSON.parse(await fs.readFile(sn.path, 'utf8'));
+    return { wrapper, data: openSnapshotData(wrapper, key) };
+  } catch (e) {
+    await setSnapshotAside(sn, e);
+    return null;
+  }
+}
+
+// Re-seal every snapshot, e.g. when encryption is turned on/off or the key changes.
+// Returns the names of the snapshots set aside.
+async function resealSnapshots(oldKey, newKey) {
+  await discardPreMigrationCopies();
+  const setAside = [];
+  for (const sn of await listSnapshotFiles()) {
+    const opened = await openSnapshotFile(sn, oldKey);
+    if (!opened) {
+      setAside.push(sn.name);
+      continue;
+    }
+    await atomicWrite(
+      sn.path,
+      JSON.stringify({ ...opened.wrapper, data: sealSnapshotData(opened.data, newKey) }, null, 2),
+    );
+  }
+  return setAside;
+}
+
+function summarizeData({ current, archive }) {
+  const tasks = [...(current.tasks || []), ...(archive.tasks || [])];
+  return {
+    taskCount: tasks.length,
+    openCount: tasks.filter((t) => !t.completed).length,
+    projectCount: new Set(
+      [...(current.projects || []), ...(archive.projects || [])].map((p) => p.id),
+    ).size,
+  };
+}
+
+// Names of the fields two copies of a record disagree on, bookkeeping aside
+function changedFields(a, b) {
+  return [...new Set([...Object.keys(a), ...Object.keys(b)])].filter(
+    (k) => k !== 'updatedAt' && !sameJSON(a[k], b[k]),
+  );
+}
+
+// What restoring `snap` would do to the data as it is now
+function diffAgainstSnapshot(merged, snap) {
+  const nowById = new Map(merged.tasks.map((t) => [t.id, t]));
+  const snapTasks = [...(snap.current.tasks || []), ...(snap.archive.tasks || [])];
+  const snapById = new Map(snapTasks.map((t) => [t.id, t]));
+  const restored = snapTasks.filter((t) => !nowById.has(t.id));
+  const removed = merged.tasks.filter((t) => !snapById.has(t.id));
+  const changed = [];
+  snapTasks.forEach((t) => {
+    const cur = nowById.get(t.id);
+    if (!cur || sameJSON(cur, t)) return;
+    const fields = changedFields(cur, t);
+    if (fields.length) changed.push({ title: t.title, fields });
+  });
+  const sample = (list) => list.slice(0, SNAPSHOT_DIFF_SAMPLES);
+  return {
+    restored: { count: restored.length, titles: sample(restored).map((t) => t.title) },
+    removed: { count: removed.length, titles: sample(removed).map((t) => t.title) },
+    changed: { count: changed.length, items: sample(changed) },
+  };
+}
+
+ipcMain.handle('snapshot:list', async () => {
+  const s = await readSettings();
+  const list = [];
+  for (const sn of await listSnapshotFiles()) {
+    if (!snapshotSummaries.has(sn.name)) {
+      try {
+        snapshotSummaries.set(sn.name, summarizeData(await readSnapshot(s, sn.name)));
+      } catch (e) {
+        console.warn(`Skipping unreadable snapshot ${sn.name}:`, e.message);
+        continue;
       }
-    } catch (e) {
-      console.log('Failed to re-encrypt key with biometrics:', e.message);
-      // Don't fail the unlock - user can still use passcode
     }
+    const summary = snapshotSummaries.get(sn.name);
+    list.push({ id: sn.name, createdAt: new Date(sn.at).toISOString(), ...summary });
   }
-  
-  return { ok: true, method: 'passcode' };
+  return list;
 });
 
-ipcMain.handle('security:lock', async () => {
-  sessionKey = null;
+ipcMain.handle('snapshot:diff', async (_evt, id) => {
+  const s = await readSettings();
+  const snap = await readSnapshot(s, id);
+  const merged = await loadAllData(s);
+  return { createdAt: snap.createdAt, ...diffAgainstSnapshot(merged, snap) };
+});
+
+// Restoring is a normal (undoable, journaled) mutation, preceded by a fresh snapshot
+handleMutation('snapshot:restore', async (_evt, id) => {
+  const s = await readSettings();
+  const snap = await readSnapshot(s, id);
+  await takeSnapshot(s, { keep: id });
+  const merged = await loadAllData(s);
+  const before = loadedSnapshot(merged);
+  ['tasks', 'projects', 'views'].forEach((k) => {
+    if (snap.current[k]) merged.current[k] = snap.current[k];
+  });
+  merged.archive.tasks = snap.archive.tasks || [];
+  merged.archive.projects = snap.archive.projects || [];
+  await saveCurrentAndMaybeArchive(s, merged);
+  recordHistory('Restore snapshot', before, merged);
   return { ok: true };
 });
 
-// Projects
+/* ---------- Re-keying ---------- */
+/* Replacing the key the files are encrypted with touches several files, so it runs in
+ * two phases. First every encrypted file is re-sealed under the new key into a
+ * `<file>.rekey` copy next to it; nothing live is touched. Writing rekey.json (the
+ * settings change + file list) is the commit point: after it the copies are renamed
+ * over the originals and settings are updated. On start a leftover marker means
+ * "finish the renames", and stray copies without one mean the change never committed
+ * and the old key is still the valid one. */
+const REKEY_SUFFIX = '.rekey';
+const rekeyMarkerPath = join(userDataDir, 'rekey.json');
 
-ipcMain.handle('project:add', async (_evt, name) => {
+// `patch`: settings fields that belong to the new key (key slots, ...)
+async function rekeyFiles(settings, oldKey, newKey, patch) {
+  let targets;
   try {
-    const s = await readSettings();
-    const merged = await loadAllData(s);
-    const nm = String(name || '').trim();
-    if (!nm) throw new Error('Project name required');
+    targets = await stageRekeyedFiles(oldKey, newKey);
+  } catch (e) {
+    await removeStagedRekeyFiles(); // not committed yet: the old key stays valid
+    throw e;
+  }
+  const marker = {
+    patch: { ...patch, keyCheck: makeKeyCheck(newKey) },
+    files: targets.map((f) => relative(userDataDir, f)),
+    useBiometrics: !!settings.useBiometrics,
+  };
+  await atomicWrite(rekeyMarkerPath, JSON.stringify(marker, null, 2));
+  await finishRekey(marker);
+}
 
-    console.log('Project add - merged data:', {
-      hasCurrent: !!merged.current,
-      hasProjects: !!merged.current?.projects,
-      projectsLength: merged.current?.projects?.length || 0,
-      archiveProjectsLength: merged.archive?.projects?.length || 0,
-    });
+// Returns the live files that now have a re-sealed copy beside them
+async function stageRekeyedFiles(oldKey, newKey) {
+  const targets = [dbPath, archivePath].filter((f) => existsSync(f));
+  for (const f of targets) {
+    const data = decryptPayload(JSON.parse(await fs.readFile(f, 'utf8')), oldKey);
+    await atomicWrite(f + REKEY_SUFFIX, JSON.stringify(encryptPayload(data, newKey), null, 2));
+  }
+  for (const sn of await listSnapshotFiles()) {
+    const opened = await openSnapshotFile(sn, oldKey);
+    if (!opened) continue;
+    await atomicWrite(
+      sn.path + REKEY_SUFFIX,
+      JSON.stringify({ ...opened.wrapper, data: sealSnapshotData(opened.data, newKey) }, null, 2),
+    );
+    targets.push(sn.path);
+  }
+  return targets;
+}
+
+async function removeStagedRekeyFiles() {
+  for (const dir of [userDataDir, snapshotsDir].filter((d) => existsSync(d))) {
+    for (const name of await fs.readdir(dir)) {
+      if (name.endsWith(REKEY_SUFFIX)) await fs.unlink(join(dir, name)).catch(() => {});
+    }
+  }
+}
+
+async function finishRekey(marker) {
+  for (const name of marker.files) {
+    const f = join(userDataDir, name);
+    if (relative(userDataDir, f).startsWith('..')) continue; // only ever our own files
+    if (existsSync(f + REKEY_SUFFIX)) await fs.rename(f + REKEY_SUFFIX, f);
+  }
+  const s = await readSettings();
+  // Markers written before key slots carried the new KDF parameters instead of a patch
+  Object.assign(s, marker.patch ?? { kdf: marker.kdf, keyCheck: marker.keyCheck ?? null });
+  await writeSettings(s);
+  await fs.unlink(rekeyMarkerPath);
+  await discardPreMigrationCopies();
+}
+
+// Called once at startup, before anything reads settings or data
+async function recoverRekey() {
+  if (existsSync(rekeyMarkerPath)) {
+    console.log('Finishing an interrupted re-key');
+    const marker = JSON.parse(await fs.readFile(rekeyMarkerPath, 'utf8'));
+    await finishRekey(marker);
+    // The Keychain may still hold the old key; the next passcode unlock re-seeds it
+    if (marker.useBiometrics) {
+      await keytar.deletePassword(KEYTAR_SERVICE, KEYTAR_ACCOUNT).catch(() => {});
+    }
+    return;
+  }
+  await removeStagedRekeyFiles();
+}
+
+// Move everything (journal included) under `newKey`; see rekeyFiles for `patch`
+async function reencryptVault(s, oldKey, newKey, patch) {
+  // Everything pending goes into db.json/archive.json so the journal holds nothing old-keyed
+  await loadAllData(s);
+  await compactJournal(s, { drop: true });
+  await rekeyFiles(s, oldKey, newKey, patch);
+  sessionKey = newKey;
+
+  if (s.useBiometrics) {
+    try {
+      await seedKeychain(newKey);
+    } catch (e) {
+      // A stale entry would unlock with the old key; without one the passcode re-seeds it
+      console.warn('Keychain update failed, removing the old key:', e);
+      await keytar.deletePassword(KEYTAR_SERVICE, KEYTAR_ACCOUNT).catch(() => {});
+    }
+  }
+}
+
+/* ---------- Key slots ---------- */
+/* The files are encrypted with a random data key. settings.keySlots holds that key
+ * wrapped (AES-GCM) once per credential, LUKS-style: one slot per passcode (the owner's
+ * and any teammates') and one for the printable recovery key. Any slot unlocks the
+ * vault, and adding, removing or re-wrapping a slot never touches the data files.
+ * Vaults from before slots encrypted with the passcode-derived key itself; they are
+ * moved to a data key (a full re-key) on the next passcode unlock. */
+const DATA_KEY_BYTES = 32;
+const RECOVERY_KEY_BYTES = 20; // 160 bits → 32 base32 characters in groups of four
+const BASE32_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ'; // Crockford: no I, L, O, U
+
+function hasKeySlots(s) {
+  return Array.isArray(s.keySlots) && s.keySlots.length > 0;
+}
+
+function newRecoveryKey() {
+  let bits = 0;
+  let value = 0;
+  let out = '';
+  for (const byte of crypto.randomBytes(RECOVERY_KEY_BYTES)) {
+    value = ((value << 8) | byte) & 0xfff;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  return out.match(/.{4}/g).join('-');
+}
+
+// Forgive the usual transcription slips: case, dashes/spaces, O for 0, I/L for 1
+function normalizeRecoveryKey(input) {
+  return String(input || '')
+    .toUpperCase()
+    .replace(/[\s-]/g, '')
+    .replace(/O/g, '0')
+    .replace(/[IL]/g, '1');
+}
+
+// Recovery keys and Keychain secrets are random, so a fast derivation is enough
+function randomSecretKdf() {
+  return { algo: 'hkdf-sha256', keyLen: 32, salt: crypto.randomBytes(16).toString('base64') };
+}
+
+async function makeSlot(type, label, secret, kdf, dataKey) {
+  const wrappingKey = await deriveKey(secret, { kdf });
+  return {
+    id: `slot-${randId()}`,
+    type, // 'passcode' | 'recovery'
+    label,
+    createdAt: new Date().toISOString(),
+    kdf,
+    wrapped: encryptPayload({ key: dataKey.toString('base64') }, wrappingKey),
+  };
+}
+
+async function openSlot(slot, secret) {
+  try {
+    const wrappingKey = await deriveKey(secret, slot);
+    return Buffer.from(decryptPayload(slot.wrapped, wrappingKey).key, 'base64');
+  } catch {
+    return null; // wrong secret: GCM authentication fails
+  }
+}
+
+// First slot of `type` that `secret` opens, with the data key it holds
+async function unlockSlot(s, type, secret) {
+  for (const slot of s.keySlots.filter((x) => x.type === type)) {
+    const dataKey = await openSlot(slot, secret);
+    if (dataKey) return { slot, dataKey };
+  }
+  return null;
+}
+
+// New secret and/or KDF parameters for one slot; the data key stays the same
+async function rewrapSlot(slotId, secret, kdf, dataKey) {
+  const s = await readSettings();
+  const old = s.keySlots.find((x) => x.id === slotId);
+  if (!old) throw new Error('Key slot not found');
+  const slot = { ...(await makeSlot(old.type, old.label, secret, kdf, dataKey)), id: old.id };
+  s.keySlots = s.keySlots.map((x) => (x.id === slotId ? slot : x));
+  await writeSettings(s);
+  await discardPreMigrationCopies();
+}
+
+// Touch ID: the Keychain holds a random secret that opens a 'keychain' slot, so the
+// data key itself never leaves this process. Re-seeding replaces secret and slot.
+// A vault without slots yet (see adoptKeySlots) still stores its key as before.
+async function seedKeychain(dataKey) {
+  const s = await readSettings();
+  if (!hasKeySlots(s)) {
+    await keytar.setPassword(KEYTAR_SERVICE, KEYTAR_ACCOUNT, dataKey.toString('base64'));
+    return;
+  }
+  const secret = crypto.randomBytes(DATA_KEY_BYTES).toString('base64');
+  const slot = await makeSlot('keychain', 'Touch ID', secret, randomSecretKdf(), dataKey);
+  await keytar.setPassword(KEYTAR_SERVICE, KEYTAR_ACCOUNT, secret);
+  s.keySlots = [...s.keySlots.filter((x) => x.type !== 'keychain'), slot];
+  await writeSettings(s);
+}
+
+// The data key a Keychain entry leads to, or null. `legacy`: the entry is the data key
+// itself (written before Keychain slots) and should be re-seeded.
+async function openKeychainEntry(s, stored) {
+  const hit = hasKeySlots(s) ? await unlockSlot(s, 'keychain', stored) : null;
+  if (hit) return { dataKey: hit.dataKey, legacy: false };
+  const key = Buffer.from(stored, 'base64');
+  if (key.length !== DATA_KEY_BYTES || !(await keyMatches(key, s))) return null;
+  return { dataKey: key, legacy: true };
+}
+
+// Pre-slot vault: re-key the files under a fresh data key wrapped by the passcode
+async function adoptKeySlots(s, legacyKey, passcode) {
+  const dataKey = crypto.randomBytes(DATA_KEY_BYTES);
+  const kdf = await tuneKdf(kdfProfileOf(s.kdf));
+  const slot = await makeSlot('passcode', 'Owner', passcode, kdf, dataKey);
+  await reencryptVault(s, legacyKey, dataKey, { keySlots: [slot], kdf: null });
+}
+
+/* ---------- Auto-lock ---------- */
+/* Drops the key (same as security:lock) after `autoLock.idleMinutes` without any input
+ * in the window, and on whichever system/window events are switched on in settings.
+ * The renderer is told so it can forget its copy of the data and ask to unlock again. */
+const AUTO_LOCK_CHECK_MS = 30 * 1000;
+const MAX_AUTO_LOCK_IDLE_MINUTES = 24 * 60;
+
+let lastActivityAt = Date.now();
+
+function startAutoLock() {
+  powerMonitor.on('suspend', () => autoLockOn('onSuspend'));
+  powerMonitor.on('lock-screen', () => autoLockOn('onLockScreen'));
+  setInterval(checkIdleLock, AUTO_LOCK_CHECK_MS);
+}
+
+function noteActivity() {
+  lastActivityAt = Date.now();
+}
+
+async function checkIdleLock() {
+  if (!sessionKey) return;
+  const s = await readSettings();
+  const minutes = s.autoLock?.idleMinutes ?? defaultSettings.autoLock.idleMinutes;
+  if (minutes > 0 && Date.now() - lastActivityAt >= minutes * 60 * 1000) await autoLock('idle');
+}
+
+// `event`: one of the on* flags in settings.autoLock
+function autoLockOn(event) {
+  if (!sessionKey) return;
+  readSettings()
+    .then((s) => ((s.autoLock ?? defaultSettings.autoLock)[event] ? autoLock(event) : null))
+    .catch((e) => console.error('Auto-lock failed:', e));
+}
+
+async function autoLock(reason) {
+  const s = await readSettings();
+  if (!s.encryptionEnabled || !sessionKey) return;
+  console.log('Auto-locking:', reason);
+  await serializeMutation(lockSession);
+  if (mainWindow && !mainWindow.isDestroyed()) mainWindow.webContents.send('security:locked');
+}
+
+/* ---------- Biometrics ---------- */
+function biometricsAvailable() {
+  try {
+    return (
+      process.platform === 'darwin' &&
+      typeof systemPreferences.canPromptTouchID === 'function' &&
+      systemPreferences.canPromptTouchID()
+    );
+  } catch {
+    return false;
+  }
+}
+
+/* ---------- IPC ---------- */
+
+// Every load → modify → save cycle runs on its own. Without this, two quick calls
+// (e.g. ticking checkboxes fast) both start from the same state and one write is lost.
+let mutationQueue = Promise.resolve();
+
+function serializeMutation(fn) {
+  const run = mutationQueue.then(fn);
+  mutationQueue = run.catch(() => {});
+  return run;
+}
+
+// ipcMain.handle for channels that change data
+function handleMutation(channel, fn) {
+  ipcMain.handle(channel, (...args) => serializeMutation(() => fn(...args)));
+}
+
+// Raised when a save would overwrite changes it never saw; nothing is written.
+// IPC only carries the message across, so the renderer matches on the CONFLICT prefix.
+function conflictError() {
+  const err = new Error('CONFLICT: the data changed while this change was being saved');
+  err.code = 'CONFLICT';
+  return err;
+}
+
+// Wrong passcodes are counted in settings.json so a restart doesn't reset the back-off
+const MIN_PASSCODE_LENGTH = 8; // new passcodes only; older, shorter ones still unlock
+const FREE_UNLOCK_ATTEMPTS = 3;
+const MAX_UNLOCK_DELAY_MS = 15 * 60 * 1000;
+const MIN_WIPE_ATTEMPTS = 3;
+const MAX_WIPE_ATTEMPTS = 100;
+
+// Wait owed after `failures` wrong passcodes: none at first, then 1s, 2s, 4s… up to 15 min
+function unlockDelayMs(failures) {
+  if (failures < FREE_UNLOCK_ATTEMPTS) return 0;
+  return Math.min(1000 * 2 ** (failures - FREE_UNLOCK_ATTEMPTS), MAX_UNLOCK_DELAY_MS);
+}
+
+function unlockRetryAfterMs(s) {
+  if (!s.failedUnlocks || !s.lastFailedUnlockAt) return 0;
+  const since = Date.now() - new Date(s.lastFailedUnlockAt).getTime();
+  return Math.max(0, unlockDelayMs(s.failedUnlocks) - since);
+}
+
+// Callers already running inside the mutation queue pass { queued: true }: waiting on
+// the queue from within it would never return.
+async function recordFailedUnlock(s, { queued = false } = {}) {
+  s.failedUnlocks = (s.failedUnlocks || 0) + 1;
+  s.lastFailedUnlockAt = new Date().toISOString();
+  const limit = s.wipeAfterFailedUnlocks || 0;
+  if (limit > 0 && s.failedUnlocks >= limit) {
+    console.warn(`${s.failedUnlocks} wrong passcodes in a row, erasing local data`);
+    await (queued ? resetEnvironment() : serializeMutation(resetEnvironment));
+    return { ok: false, code: 'WIPED' };
+  }
+  await writeSettings(s);
+  return {
+    ok: false,
+    code: 'BAD_PASSCODE',
+    retryAfterMs: unlockDelayMs(s.failedUnlocks),
+    attemptsLeft: limit > 0 ? limit - s.failedUnlocks : null,
+  };
+}
+
+// Clears the back-off and gives vaults from before keyCheck their record
+async function recordSuccessfulUnlock(s, key) {
+  if (s.keyCheck && !s.failedUnlocks) return;
+  s.keyCheck ||= makeKeyCheck(key);
+  s.failedUnlocks = 0;
+  s.lastFailedUnlockAt = null;
+  await writeSettings(s);
+}
+
+// Settings / Security
+ipcMain.handle('security:getConfig', async () => {
+  const s = await readSettings();
+  return {
+    encryptionEnabled: s.encryptionEnabled,
+    useBiometrics: s.useBiometrics,
+    biometricsAvailable: biometricsAvailable(),
+    wipeAfterFailedUnlocks: s.wipeAfterFailedUnlocks || 0,
+    autoLock: { ...defaultSettings.autoLock, ...s.autoLock },
+    hasRecoveryKey: !!s.keySlots?.some((x) => x.type === 'recovery'),
+  };
+});
+
+handleMutation('security:setWipeAfter', async (_evt, attempts) => {
+  const n = Math.floor(Number(attempts) || 0);
+  if (n !== 0 && (n < MIN_WIPE_ATTEMPTS || n > MAX_WIPE_ATTEMPTS))
+    throw new Error(`Choose between ${MIN_WIPE_ATTEMPTS} and ${MAX_WIPE_ATTEMPTS} attempts, or 0`);
+  const s = await readSettings();
+  if (!s.encryptionEnabled) throw new Error('Encryption is not enabled');
+  s.wipeAfterFailedUnlocks = n;
+  await writeSettings(s);
+  return { ok: true };
+});
+
+handleMutation('security:enable', async (_evt, { passcode, useBiometrics, kdfProfile }) => {
+  let s = await readSettings();
+  if (s.encryptionEnabled) return { ok: true }; // already on
+  assertPasscodeStrongEnough(passcode);
+  // Fold the plaintext journal into db.json first; the files are re-read below
+  await loadAllData(s);
+  await compactJournal(s, { drop: true });
+  const key = crypto.randomBytes(DATA_KEY_BYTES);
+  const recoveryKey = newRecoveryKey();
+  s.keySlots = [
+    await makeSlot('passcode', 'Owner', passcode, await tuneKdf(kdfProfile), key),
+    await makeSlot(
+      'recovery',
+      'Recovery key',
+      normalizeRecoveryKey(recoveryKey),
+      randomSecretKdf(),
+      key,
+    ),
+  ];
+  sessionKey = key; // keep in-memory
+  s.encryptionEnabled = true;
+  s.keyCheck = makeKeyCheck(key);
+  s.failedUnlocks = 0;
+  s.lastFailedUnlockAt = null;
+  s.useBiometrics = !!useBiometrics && biometricsAvailable();
+  await writeSettings(s);
+
+  // Give Touch ID its own key slot if biometrics chosen
+  if (s.useBiometrics) {
+    try {
+      await seedKeychain(key);
+    } catch (e) {
+      console.warn('Keychain save failed, continuing without biometrics key:', e);
+      s.useBiometrics = false;
+      await writeSettings(s);
+    }
+  }
+
+  // Encrypt existing files
+  const currentPlain = existsSync(dbPath)
+    ? JSON.parse(await fs.readFile(dbPath, 'utf8'))
+    : structuredClone(defaultDB);
+  await writeJSONFile(dbPath, currentPlain, true);
+
+  if (existsSync(archivePath)) {
+    const archPlain = JSON.parse(await fs.readFile(archivePath, 'utf8'));
+    await writeJSONFile(archivePath, archPlain, true);
+  }
+  // Older snapshots were taken in plaintext; they must not outlive this switch
+  const setAside = await resealSnapshots(null, key);
+  // The recovery key is shown once; only its wrapped data key is stored
+  return { ok: true, recoveryKey, snapshotsSetAside: setAside.length };
+});
+
+handleMutation('security:disable', async () => {
+  // Not exposed in UI by default; left for completeness
+  let s = await readSettings();
+  if (!s.encryptionEnabled) return { ok: true };
+  if (!sessionKey) throw new Error('Unlock required to disable encryption');
+  await loadAllData(s);
+  await compactJournal(s, { drop: true });
+
+  // Decrypt files and rewrite plaintext
+  const current = await readJSONFile(dbPath, true);
+  await writeJSONFile(dbPath, current, false);
+  if (existsSync(archivePath)) {
+    const arch = await readJSONFile(archivePath, true);
+    await writeJSONFile(archivePath, arch, false);
+  }
+  const setAside = await resealSnapshots(sessionKey, null);
+  s.encryptionEnabled = false;
+  s.useBiometrics = false;
+  s.keySlots = [];
+  s.keyCheck = null;
+  s.failedUnlocks = 0;
+  s.lastFailedUnlockAt = null;
+  await writeSettings(s);
+  try {
+    await keytar.deletePassword(KEYTAR_SERVICE, KEYTAR_ACCOUNT);
+  } catch {
+    console.warn('Keychain delete failed, continuing without biometrics key');
+  }
+  sessionKey = null;
+  return { ok: true, snapshotsSetAside: setAside.length };
+});
+
+handleMutation('security:changePasscode', async (_evt, { oldPasscode, newPasscode }) => {
+  const s = await readSettings();
+  if (!s.encryptionEnabled) throw new Error('Encryption is not enabled');
+  if (!sessionKey) throw new Error('Unlock required to change the passcode');
+  const next = String(newPasscode || '');
+  assertPasscodeStrongEnough(next);
+  // A wrong current passcode counts like a wrong one at unlock, or this would be a way
+  // around the back-off and the wipe limit while the vault is open
+  const retryAfterMs = unlockRetryAfterMs(s);
+  if (retryAfterMs > 0) return { ok: false, code: 'THROTTLED', retryAfterMs };
+  if (!hasKeySlots(s)) {
+    const oldKey = await deriveKey(String(oldPasscode || ''), s);
+    if (!crypto.timingSafeEqual(oldKey, sessionKey))
+      return recordFailedUnlock(s, { queued: true });
+    await recordSuccessfulUnlock(s, oldKey);
+    await adoptKeySlots(s, oldKey, next);
+    return { ok: true };
+  }
+  // Only the slot this passcode opens changes; teammates' passcodes keep working
+  const hit = await unlockSlot(s, 'passcode', String(oldPasscode || ''));
+  if (!hit || !crypto.timingSafeEqual(hit.dataKey, sessionKey))
+    return recordFailedUnlock(s, { queued: true });
+  await recordSuccessfulUnlock(s, hit.dataKey);
+  await rewrapSlot(hit.slot.id, next, await tuneKdf(kdfProfileOf(hit.slot.kdf)), sessionKey);
+  return { ok: true };
+});
+
+// Lost passcode: the recovery key opens the vault and the chosen passcode slot gets a new one
+handleMutation('security:recover', async (_evt, { recoveryKey, newPasscode, slotId = null }) => {
+  const s = await readSettings();
+  if (!s.encryptionEnabled || !s.keySlots?.some((x) => x.type === 'recovery'))
+    return { ok: false, code: 'NO_RECOVERY_KEY' };
+  const retryAfterMs = unlockRetryAfterMs(s);
+  if (retryAfterMs > 0) return { ok: false, code: 'THROTTLED', retryAfterMs };
+  assertPasscodeStrongEnough(newPasscode);
+  const hit = await unlockSlot(s, 'recovery', normalizeRecoveryKey(recoveryKey));
+  if (!hit) {
+    const res = await recordFailedUnlock(s, { queued: true });
+    return res.code === 'BAD_PASSCODE' ? { ...res, code: 'BAD_RECOVERY_KEY' } : res;
+  }
+  const passcodeSlots = s.keySlots.filter((x) => x.type === 'passcode');
+  const target = slotId ? passcodeSlots.find((x) => x.id === slotId) : passcodeSlots[0];
+  sessionKey = hit.dataKey;
+  noteActivity();
+  await recordSuccessfulUnlock(s, hit.dataKey);
+  const kdf = await tuneKdf();
+  if (target) {
+    await rewrapSlot(target.id, newPasscode, kdf, hit.dataKey);
+  } else {
+    const latest = await readSettings();
+    latest.keySlots.push(await makeSlot('passcode', 'Owner', newPasscode, kdf, hit.dataKey));
+    await writeSettings(latest);
+  }
+  refreshReminderIndex(s);
+  scheduleCalendarFeed();
+  return { ok: true };
+});
+
+// Labels only; also available while locked (they are plaintext in settings.json anyway)
+ipcMain.handle('security:listKeySlots', async () => {
+  const s = await readSettings();
+  return (s.keySlots || []).map(({ id, type, label, createdAt }) => ({
+    id,
+    type,
+    label,
+    createdAt,
+  }));
+});
+
+function assertUnlockedWithSlots(s) {
+  if (!s.encryptionEnabled) throw new Error('Encryption is not enabled');
+  if (!sessionKey) throw new Error('Unlock required');
+  if (!hasKeySlots(s)) throw new Error('Unlock with your passcode once to enable this');
+}
+
+// A separate passcode for someone sharing this vault
+handleMutation('security:addPasscodeSlot', async (_evt, { label, passcode }) => {
+  const s = await readSettings();
+  assertUnlockedWithSlots(s);
+  const name = String(label || '').trim();
+  if (!name) throw new Error('Label required');
+  if (s.keySlots.some((x) => x.type === 'passcode' && x.label === name))
+    throw new Error('A passcode with this label already exists');
+  assertPasscodeStrongEnough(passcode);
+  s.keySlots.push(await makeSlot('passcode', name, passcode, await tuneKdf(), sessionKey));
+  await writeSettings(s);
+  return { ok: true };
+});
+
+handleMutation('security:removeKeySlot', async (_evt, id) => {
+  const s = await readSettings();
+  assertUnlockedWithSlots(s);
+  const slot = s.keySlots.find((x) => x.id === id);
+  if (!slot) throw new Error('Key slot not found');
+  const passcodes = s.keySlots.filter((x) => x.type === 'passcode');
+  if (slot.type === 'passcode' && passcodes.length === 1)
+    throw new Error('The last passcode cannot be removed');
+  s.keySlots = s.keySlots.filter((x) => x.id !== id);
+  await writeSettings(s);
+  return { ok: true };
+});
+
+// Replaces any existing recovery key; the old one stops working
+handleMutation('security:createRecoveryKey', async () => {
+  const s = await readSettings();
+  assertUnlockedWithSlots(s);
+  const recoveryKey = newRecoveryKey();
+  const slot = await makeSlot(
+    'recovery',
+    'Recovery key',
+    normalizeRecoveryKey(recoveryKey),
+    randomSecretKdf(),
+    sessionKey,
+  );
+  s.keySlots = [...s.keySlots.filter((x) => x.type !== 'recovery'), slot];
+  await writeSettings(s);
+  return { ok: true, recoveryKey };
+});
+
+function assertPasscodeStrongEnough(passcode) {
+  if (String(passcode || '').trim().length < MIN_PASSCODE_LENGTH)
+    throw new Error(`Passcode must be at least ${MIN_PASSCODE_LENGTH} characters`);
+}
+
+// Checks the passcode and updates the failure count in one step inside the mutation queue,
+// re-reading settings there: parallel wrong attempts are counted one after another instead
+// of all starting from the same count and slipping past the back-off or the wipe limit.
+async function unlockWithPasscode(passcode) {
+  const s = await readSettings();
+  const retryAfterMs = unlockRetryAfterMs(s);
+  if (retryAfterMs > 0) return { ok: false, code: 'THROTTLED', retryAfterMs };
+
+  let slot = null;
+  let key = null;
+  if (hasKeySlots(s)) {
+    const hit = await unlockSlot(s, 'passcode', passcode);
+    if (!hit) return recordFailedUnlock(s, { queued: true });
+    ({ slot, dataKey: key } = hit);
+  } else {
+    key = await deriveKey(passcode, s);
+    if (!(await keyMatches(key, s))) return recordFailedUnlock(s, { queued: true });
+  }
+  sessionKey = key;
+  noteActivity();
+  await recordSuccessfulUnlock(s, key);
+  console.log('Unlocked successfully with passcode');
+  // Only now is the passcode at hand: a pre-slot vault gets a data key (full re-key), a
+  // slot with outdated KDF parameters is re-wrapped. On failure things stay as they were.
+  if (!slot || kdfIsOutdated(slot.kdf)) {
+    try {
+      if (!slot) await adoptKeySlots(s, key, passcode);
+      else await rewrapSlot(slot.id, passcode, await tuneKdf(kdfProfileOf(slot.kdf)), key);
+      console.log('Key parameters upgraded');
+    } catch (e) {
+      console.error('Key upgrade failed:', e);
+    }
+  }
+  return { ok: true };
+}
+
+ipcMain.handle('security:unlock', async (_evt, { passcode }) => {
+  console.log('=== SECURITY UNLOCK CALLED ===');
+  
+  const s = await readSettings();
+  
+  if (!s.encryptionEnabled) return { ok: true }; // nothing to unlock
+
+  console.log('Security unlock called with:', { 
+    hasPasscode: !!passcode, 
+    useBiometrics: s.useBiometrics, 
+    biometricsAvailable: biometricsAvailable(),
+    failedUnlocks: s.failedUnlocks || 0,
+  });
+
+  let key = null;
+  let biometricsAttempted = false;
+
+  // Try biometrics first if enabled and available and no passcode provided
+  if (!passcode && s.useBiometrics && biometricsAvailable()) {
+    biometricsAttempted = true;
+    console.log('Biometrics are enabled and available, attempting biometric unlock...');
+    try {
+      console.log('About to prompt Touch ID...');
+      await systemPreferences.promptTouchID('Unlock your tasks'); // UI gate
+      console.log('Touch ID prompt completed successfully');
+      
+      console.log('About to access keychain...');
+      const stored = await keytar.getPassword(KEYTAR_SERVICE, KEYTAR_ACCOUNT);
+      console.log('Keychain access result:', { hasStored: !!stored, storedLength: stored?.length });
+      
+      if (stored) {
+        console.log('Stored secret found, opening its key slot...');
+        const entry = await openKeychainEntry(s, stored);
+        if (!entry) {
+          // Stale entry (e.g. its slot was replaced); the passcode re-seeds it
+          await keytar.deletePassword(KEYTAR_SERVICE, KEYTAR_ACCOUNT).catch(() => {});
+          return { ok: false, code: 'NO_BIO_KEY', reason: 'Keychain key does not match' };
+        }
+        key = entry.dataKey;
+        sessionKey = key;
+        noteActivity();
+        await recordSuccessfulUnlock(s, key);
+        if (entry.legacy && hasKeySlots(s)) {
+          await seedKeychain(key).catch((e) => console.warn('Keychain re-seed failed:', e));
+        }
+        console.log('Unlocked successfully with biometrics, sessionKey set');
+        refreshReminderIndex(s);
+        scheduleCalendarFeed();
+        return { ok: true, method: 'biometrics' };
+      } else {
+        console.log('No stored key found in keychain - returning NO_BIO_KEY without falling back');
+        return { ok: false, code: 'NO_BIO_KEY', reason: 'Missing keychain entry' };
+      }
+    } catch (e) {
+      console.log('Biometrics failed with error:', e.message);
+      console.log('Error details:', e);
+      console.log('Error stack:', e.stack);
+      // Prompt canceled or Keychain failure; will fall back to passcode.
+    }
+  } else {
+    console.log('Biometrics not available or not enabled:', { 
+      useBiometrics: s.useBiometrics, 
+      biometricsAvailable: biometricsAvailable() 
+    });
+  }
+
+  // Fallback: derive from passcode (only if biometrics failed or not enabled)
+  if (!passcode) {
+    console.log('No passcode provided after biometric path; returning NEED_PASSCODE');
+    return { ok: false, code: 'NEED_PASSCODE' };
+  }
+
+  console.log('Attempting passcode unlock...');
+  const unlocked = await serializeMutation(() => unlockWithPasscode(passcode));
+  if (!unlocked.ok) return unlocked;
+  key = sessionKey;
+  refreshReminderIndex(s);
+  scheduleCalendarFeed();
+  
+  // If biometrics are enabled, re-seed the Keychain unless its entry still opens the vault
+  if (s.useBiometrics && biometricsAvailable()) {
+    try {
+      const latest = await readSettings();
+      const stored = await keytar.getPassword(KEYTAR_SERVICE, KEYTAR_ACCOUNT);
+      const entry = stored ? await openKeychainEntry(latest, stored) : null;
+      if (!entry || (entry.legacy && hasKeySlots(latest))) {
+        console.log('Re-seeding the Keychain after successful passcode unlock...');
+        await seedKeychain(key);
+        console.log('Successfully re-seeded the Keychain');
+      }
+      
+      // Update settings to ensure biometrics flag is set
+      if (!s.useBiometrics) {
+        s.useBiometrics = true;
+        await writeSettings(s);
+        console.log('Updated settings to enable biometrics');
+      }
+    } catch (e) {
+      console.log('Failed to re-encrypt key with biometrics:', e.message);
+      // Don't fail the unlock - user can still use passcode
+    }
+  }
+  
+  return { ok: true, method: 'passcode' };
+});
+
+async function lockSession() {
+  const s = await readSettings();
+  // Persist pending records while the key is still available, then drop the plaintext model
+  await compactJournal(s, { drop: true }).catch((e) =>
+    console.error('Compaction on lock failed:', e),
+  );
+  sessionKey = null;
+  clearHistory();
+}
+
+handleMutation('security:lock', async () => {
+  await lockSession();
+  return { ok: true };
+});
+
+handleMutation('security:setAutoLock', async (_evt, patch = {}) => {
+  const s = await readSettings();
+  const next = { ...defaultSettings.autoLock, ...s.autoLock };
+  if (patch.idleMinutes !== undefined) {
+    const n = Math.floor(Number(patch.idleMinutes));
+    if (Number.isNaN(n) || n < 0 || n > MAX_AUTO_LOCK_IDLE_MINUTES)
+      throw new Error(`Idle minutes must be between 0 and ${MAX_AUTO_LOCK_IDLE_MINUTES}`);
+    next.idleMinutes = n;
+  }
+  ['onSuspend', 'onLockScreen', 'onMinimize', 'onBlur'].forEach((k) => {
+    if (patch[k] !== undefined) next[k] = !!patch[k];
+  });
+  s.autoLock = next;
+  await writeSettings(s);
+  return { ok: true, autoLock: next };
+});
+
+// Input in the window (throttled by the renderer) keeps the idle timer from firing
+ipcMain.on('app:activity', noteActivity);
+
+// Projects
+
+// Projects form a tree through `parentId` (null/absent = top level). Names only
+// need to be unique among siblings, so Work › Clients and Home › Clients can coexist.
+handleMutation('project:add', async (_evt, { name, parentId = null }) => {
+  try {
+    const s = await readSettings();
+    const merged = await loadAllData(s);
+    const before = loadedSnapshot(merged);
+    const nm = String(name || '').trim();
+    if (!nm) throw new Error('Project name required');
+    if (parentId !== null) validateProjectParent(merged, null, parentId);
+
+    console.log('Project add - merged data:', {
+      hasCurrent: !!merged.current,
+      hasProjects: !!merged.current?.projects,
+      projectsLength: merged.current?.projects?.length || 0,
+      archiveProjectsLength: merged.archive?.projects?.length || 0,
+    });
+
+    // prevent dup by name among siblings (case-insensitive)
+    if (siblingNameTaken(merged, parentId, nm))
+      throw new Error('A project with that name already exists here');
+
+    if (!Array.isArray(merged.current.projects)) {
+      console.log('Initializing projects array');
+      merged.current.projects = [];
+    }
+    const newProject = newProjectRecord(merged, nm, parentId);
+    const { id } = newProject;
+    merged.current.projects.push(newProject);
+
+    console.log('About to save, projects count:', merged.current.projects.length);
+    await saveCurrentAndMaybeArchive(s, merged);
+    recordHistory('Add project', before, merged);
+    console.log('Project saved successfully');
+
+    return { id, name: nm, parentId };
+  } catch (error) {
+    console.error('Project add error:', error);
+    throw error;
+  }
+});
+
+handleMutation('project:rename', async (_evt, { id, name }) => {
+  const s = await readSettings();
+  const merged = await loadAllData(s);
+  const before = loadedSnapshot(merged);
+  const inCurrent = merged.current.projects.find((p) => p.id === id);
+  const inArchive = merged.archive.projects?.find((p) => p.id === id);
+  const target = inCurrent || inArchive;
+  if (!target) throw new Error('Project not found');
+  const nm = String(name || '').trim();
+  if (!nm) throw new Error('Project name required');
+  if (siblingNameTaken(merged, target.parentId ?? null, nm, id))
+    throw new Error('A project with that name already exists here');
+  target.name = nm;
+  target.updatedAt = new Date().toISOString(); // lets a backup merge tell which copy is newer
+  await saveCurrentAndMaybeArchive(s, merged);
+  recordHistory('Rename project', before, merged);
+  return true;
+});
+// Sidebar drag-and-drop: persist `order` = position in `ids` for every listed project
+handleMutation('project:reorder', async (_evt, ids) => {
+  if (!Array.isArray(ids)) throw new Error('Project ids required');
+  const s = await readSettings();
+  const merged = await loadAllData(s);
+  const before = loadedSnapshot(merged);
+  const position = new Map(ids.map((id, i) => [id, i]));
+  // A project may be present in both files; keep the copies in sync
+  [...merged.current.projects, ...(merged.archive.projects || [])].forEach((p) => {
+    if (position.has(p.id)) p.order = position.get(p.id);
+  });
+  await saveCurrentAndMaybeArchive(s, merged);
+  recordHistory('Reorder projects', before, merged);
+  return true;
+});
+
+// Reparent: parentId null moves the project to the top level, appended after its new siblings
+handleMutation('project:move', async (_evt, { id, parentId = null }) => {
+  if (id === 'inbox') throw new Error('Cannot move Inbox');
+  const s = await readSettings();
+  const merged = await loadAllData(s);
+  const before = loadedSnapshot(merged);
+  const target = merged.projects.find((p) => p.id === id);
+  if (!target) throw new Error('Project not found');
+  if (parentId !== null) validateProjectParent(merged, id, parentId);
+  if ((target.parentId ?? null) === parentId) return true;
+  if (siblingNameTaken(merged, parentId, target.name, id))
+    throw new Error('A project with that name already exists there');
+  const order = nextSiblingOrder(merged, parentId);
+  const now = new Date().toISOString();
+  projectCopies(merged, id).forEach((p) => {
+    p.parentId = parentId;
+    p.order = order;
+    p.updatedAt = now;
+  });
+  await saveCurrentAndMaybeArchive(s, merged);
+  recordHistory('Move project', before, merged);
+  return true;
+});
+
+/** Deletes a project; its tasks always move to Inbox.
+ * children: 'rehome' (default) lifts sub-projects to the deleted project's parent,
+ * 'delete' removes the whole subtree (and sends all of its tasks to Inbox).
+ */
+handleMutation('project:delete', async (_evt, { id, children = 'rehome' }) => {
+  if (id === 'inbox') throw new Error('Cannot delete Inbox');
+  if (children !== 'rehome' && children !== 'delete') throw new Error('Invalid children option');
+  const s = await readSettings();
+  const merged = await loadAllData(s);
+  const before = loadedSnapshot(merged);
+  const target = merged.projects.find((p) => p.id === id);
+  if (!target) throw new Error('Project not found');
+
+  const drop = children === 'delete' ? projectSubtreeIds(merged.projects, id) : new Set([id]);
+  if (children === 'rehome') {
+    const kids = merged.projects.filter((p) => p.parentId === id);
+    const clash = kids.find((k) => siblingNameTaken(merged, target.parentId ?? null, k.name, id));
+    if (clash) throw new Error(`"${clash.name}" already exists one level up; rename it first`);
+    kids.forEach((k) => {
+      const order = nextSiblingOrder(merged, target.parentId ?? null);
+      projectCopies(merged, k.id).forEach((p) => {
+        p.parentId = target.parentId ?? null;
+        p.order = order;
+      });
+    });
+  }
+  merged.current.tasks.forEach((t) => {
+    if (drop.has(t.projectId)) t.projectId = 'inbox';
+  });
+  merged.archive.tasks.forEach((t) => {
+    if (drop.has(t.projectId)) t.projectId = 'inbox';
+  });
+  merged.current.projects = merged.current.projects.filter((p) => !drop.has(p.id));
+  merged.archive.projects = (merged.archive.projects || []).filter((p) => !drop.has(p.id));
+  await saveCurrentAndMaybeArchive(s, merged);
+  recordHistory('Delete project', before, merged);
+  return true;
+});
+
+// A project may be present in both files; structural edits must hit every copy
+function projectCopies(merged, id) {
+  return [...merged.current.projects, ...(merged.archive.projects || [])].filter(
+    (p) => p.id === id,
+  );
+}
+
+function projectSubtreeIds(projects, rootId) {
+  const ids = new Set([rootId]);
+  let grew = true;
+  while (grew) {
+    grew = false;
+    projects.forEach((p) => {
+      if (p.parentId && ids.has(p.parentId) && !ids.has(p.id)) {
+        ids.add(p.id);
+        grew = true;
+      }
+    });
+  }
+  return ids;
+}
+
+// Throws unless `parentId` can hold `id` (null for a new project) without forming a cycle
+function validateProjectParent(merged, id, parentId) {
+  if (parentId === 'inbox') throw new Error('Inbox cannot have sub-projects');
+  if (!merged.projects.some((p) => p.id === parentId)) throw new Error('Parent project not found');
+  if (id && projectSubtreeIds(merged.projects, id).has(parentId))
+    throw new Error('A project cannot be moved inside itself');
+}
+
+function siblingNameTaken(merged, parentId, name, exceptId = null) {
+  const nm = name.toLowerCase();
+  return merged.projects.some(
+    (p) => p.id !== exceptId && (p.parentId ?? null) === parentId && p.name.toLowerCase() === nm,
+  );
+}
+
+// The record project:add stores; the caller has checked the name and parent
+function newProjectRecord(merged, name, parentId) {
+  return {
+    id: `proj_${randId()}`,
+    name,
+    parentId,
+    order: nextSiblingOrder(merged, parentId),
+    createdAt: new Date().toISOString(),
+  };
+}
+
+function nextSiblingOrder(merged, parentId) {
+  const siblings = [...merged.current.projects, ...(merged.archive.projects || [])].filter(
+    (p) => (p.parentId ?? null) === parentId,
+  );
+  return Math.max(-1, ...siblings.map((p) => p.order ?? -1)) + 1;
+}
+
+// Smart views: named search queries, kept in the (encrypted) current DB
+handleMutation('view:add', async (_evt, { name, query }) => {
+  const s = await readSettings();
+  const merged = await loadAllData(s);
+  const before = loadedSnapshot(merged);
+  const nm = String(name || '').trim();
+  if (!nm) throw new Error('View name required');
+  const q = sanitizeViewQuery(query);
+  if (!Array.isArray(merged.current.views)) merged.current.views = [];
+  if (merged.current.views.some((v) => v.name.toLowerCase() === nm.toLowerCase()))
+    throw new Error('A view with that name already exists');
+
+  const view = { id: `view_${randId()}`, name: nm, query: q, createdAt: new Date().toISOString() };
+  merged.current.views.push(view);
+  await saveCurrentAndMaybeArchive(s, merged);
+  recordHistory('Add view', before, merged);
+  return view;
+});
+
+handleMutation('view:update', async (_evt, { id, name, query }) => {
+  const s = await readSettings();
+  const merged = await loadAllData(s);
+  const before = loadedSnapshot(merged);
+  const views = merged.current.views || [];
+  const target = views.find((v) => v.id === id);
+  if (!target) throw new Error('View not found');
+  if (typeof name === 'string') {
+    const nm = name.trim();
+    if (!nm) throw new Error('View name required');
+    if (views.some((v) => v.id !== id && v.name.toLowerCase() === nm.toLowerCase()))
+      throw new Error('A view with that name already exists');
+    target.name = nm;
+  }
+  if (typeof query === 'string') target.query = sanitizeViewQuery(query);
+  await saveCurrentAndMaybeArchive(s, merged);
+  recordHistory('Edit view', before, merged);
+  return target;
+});
+
+// Sidebar order is the array order; ids not listed keep their relative order at the end
+handleMutation('view:reorder', async (_evt, ids) => {
+  const s = await readSettings();
+  const merged = await loadAllData(s);
+  const before = loadedSnapshot(merged);
+  const views = merged.current.views || [];
+  const byId = new Map(views.map((v) => [v.id, v]));
+  const ordered = (Array.isArray(ids) ? ids : []).map((id) => byId.get(id)).filter(Boolean);
+  merged.current.views = [...new Set([...ordered, ...views])];
+  await saveCurrentAndMaybeArchive(s, merged);
+  recordHistory('Reorder views', before, merged);
+  return true;
+});
+
+handleMutation('view:delete', async (_evt, id) => {
+  const s = await readSettings();
+  const merged = await loadAllData(s);
+  const before = loadedSnapshot(merged);
+  const views = merged.current.views || [];
+  if (!views.some((v) => v.id === id)) throw new Error('View not found');
+  merged.current.views = views.filter((v) => v.id !== id);
+  await saveCurrentAndMaybeArchive(s, merged);
+  recordHistory('Delete view', before, merged);
+  return true;
+});
+
+// Tasks
+handleMutation('task:add', async (_evt, task) => {
+  const s = await readSettings();
+  const merged = await loadAllData(s);
+  const before = loadedSnapshot(merged);
+  const newTask = newTaskRecord(task);
+  merged.current.tasks.push(newTask);
+  await saveCurrentAndMaybeArchive(s, merged);
+  recordHistory('Add task', before, merged);
+  return newTask;
+});
+
+// The record task:add stores for renderer-supplied fields; also used by the importers
+function newTaskRecord(task, now = new Date().toISOString()) {
+  return {
+    id: `task_${randId()}`,
+    title: task.title?.trim() || 'Untitled',
+    description: task.description?.trim() || '',
+    projectId: task.projectId || 'inbox',
+    dueDate: task.dueDate || null,
+    dueTime: isHM(task.dueTime) ? task.dueTime : null,
+    reminders: Array.isArray(task.reminders) ? sanitizeReminders(task.reminders) : [],
+    priority: clampPriority(task.priority),
+    tags: Array.isArray(task.tags) ? sanitizeTags(task.tags) : [],
+    checklist: [],
+    autoCompleteChecklist: !!task.autoCompleteChecklist,
+    recurrence: normalizeRecurrence(task.recurrence),
+    completed: false,
+    dateCompleted: null,
+    createdAt: now,
+    updatedAt: now,
+  };
+}
+
+handleMutation('task:update', async (_evt, partial) => {
+  const s = await readSettings();
+  const merged = await loadAllData(s);
+  const before = loadedSnapshot(merged);
+  const t = applyTaskUpdate(merged, partial);
+  await saveCurrentAndMaybeArchive(s, merged);
+  recordHistory('Edit task', before, merged);
+  return t;
+});
+
+function findTask(merged, id) {
+  return (
+    merged.current.tasks.find((t) => t.id === id) || merged.archive.tasks.find((t) => t.id === id)
+  );
+}
+
+// Applies a partial update in place; shared by IPC and notification actions
+function applyTaskUpdate(merged, partial) {
+  const t = findTask(merged, partial.id);
+  if (!t) throw new Error('Task not found');
+  const prevDueDate = t.dueDate;
+
+  if (typeof partial.title === 'string') t.title = partial.title.trim();
+  if (typeof partial.description === 'string') t.description = partial.description.trim();
+  if (typeof partial.projectId === 'string') t.projectId = partial.projectId;
+  if (typeof partial.dueDate !== 'undefined') t.dueDate = partial.dueDate;
+  if (typeof partial.dueTime !== 'undefined')
+    t.dueTime = isHM(partial.dueTime) ? partial.dueTime : null;
+  if (Array.isArray(partial.reminders)) t.reminders = sanitizeReminders(partial.reminders);
+  if (typeof partial.priority !== 'undefined') t.priority = clampPriority(partial.priority);
+  if (Array.isArray(partial.tags)) t.tags = sanitizeTags(partial.tags);
+  if (typeof partial.recurrence !== 'undefined') {
+    const rule = normalizeRecurrence(partial.recurrence);
+    const anchorDay = t.recurrence?.anchorDay;
+    // The edit form sends the rule back without its anchor; keep it while the due date stays
+    if (rule && anchorDay && t.recurrence.freq === rule.freq && t.dueDate === prevDueDate)
+      rule.anchorDay ??= anchorDay;
+    t.recurrence = rule;
+  }
+  if (typeof partial.autoCompleteChecklist === 'boolean')
+    t.autoCompleteChecklist = partial.autoCompleteChecklist;
+  if (typeof partial.completed === 'boolean') {
+    const wasCompleted = t.completed;
+    t.completed = partial.completed;
+    t.dateCompleted = t.completed ? new Date().toISOString() : null;
+    // Completing a recurring task finishes this instance and schedules the next one
+    if (t.completed && !wasCompleted && t.recurrence) {
+      const next = spawnNextOccurrence(t);
+      if (next) merged.current.tasks.push(next);
+    } else if (!t.completed && wasCompleted && t.successorId) {
+      reclaimOccurrence(merged, t);
+    }
+  }
+  t.updatedAt = new Date().toISOString();
+  return t;
+}
+
+// Checklist: steps live on the task record itself, so a task and its steps are
+// always read, written and archived as one unit.
+handleMutation('task:checklistAdd', async (_evt, { taskId, title }) => {
+  const nm = String(title || '').trim();
+  if (!nm) throw new Error('Checklist item title required');
+  const s = await readSettings();
+  const merged = await loadAllData(s);
+  const before = loadedSnapshot(merged);
+  const t = findTask(merged, taskId);
+  if (!t) throw new Error('Task not found');
+  if (!Array.isArray(t.checklist)) t.checklist = [];
+  if (t.checklist.length >= MAX_CHECKLIST_ITEMS) throw new Error('Checklist is full');
+  const item = {
+    id: `item_${randId()}`,
+    title: nm,
+    done: false,
+    createdAt: new Date().toISOString(),
+  };
+  t.checklist.push(item);
+  syncChecklistCompletion(merged, t);
+  await saveCurrentAndMaybeArchive(s, merged);
+  recordHistory('Add step', before, merged);
+  return t;
+});
+
+handleMutation('task:checklistUpdate', async (_evt, { taskId, itemId, title, done }) => {
+  const s = await readSettings();
+  const merged = await loadAllData(s);
+  const before = loadedSnapshot(merged);
+  const t = findTask(merged, taskId);
+  const item = t?.checklist?.find((i) => i.id === itemId);
+  if (!item) throw new Error('Checklist item not found');
+  if (typeof title === 'string' && title.trim()) item.title = title.trim();
+  if (typeof done === 'boolean') item.done = done;
+  syncChecklistCompletion(merged, t);
+  await saveCurrentAndMaybeArchive(s, merged);
+  recordHistory('Edit step', before, merged);
+  return t;
+});
+
+handleMutation('task:checklistDelete', async (_evt, { taskId, itemId }) => {
+  const s = await readSettings();
+  const merged = await loadAllData(s);
+  const before = loadedSnapshot(merged);
+  const t = findTask(merged, taskId);
+  if (!t?.checklist?.some((i) => i.id === itemId)) throw new Error('Checklist item not found');
+  t.checklist = t.checklist.filter((i) => i.id !== itemId);
+  syncChecklistCompletion(merged, t);
+  await saveCurrentAndMaybeArchive(s, merged);
+  recordHistory('Delete step', before, merged);
+  return t;
+});
+
+handleMutation('task:checklistReorder', async (_evt, { taskId, itemIds }) => {
+  const s = await readSettings();
+  const merged = await loadAllData(s);
+  const before = loadedSnapshot(merged);
+  const t = findTask(merged, taskId);
+  if (!t) throw new Error('Task not found');
+  const byId = new Map((t.checklist || []).map((i) => [i.id, i]));
+  const ordered = (itemIds || []).map((id) => byId.get(id)).filter(Boolean);
+  // Anything the caller didn't mention keeps its relative order at the end
+  t.checklist = [...ordered, ...(t.checklist || []).filter((i) => !ordered.includes(i))];
+  t.updatedAt = new Date().toISOString();
+  await saveCurrentAndMaybeArchive(s, merged);
+  recordHistory('Reorder steps', before, merged);
+  return t;
+});
+
+// With autoCompleteChecklist on, the task follows its steps: all done completes
+// it, unticking a step on a completed task reopens it.
+function syncChecklistCompletion(merged, t) {
+  t.updatedAt = new Date().toISOString();
+  const items = t.checklist || [];
+  if (!t.autoCompleteChecklist || !items.length) return;
+  const allDone = items.every((i) => i.done);
+  if (allDone !== !!t.completed) applyTaskUpdate(merged, { id: t.id, completed: allDone });
+}
+
+/** Applies one change set to many tasks in a single load/save cycle. Everything is
+ * validated before anything is touched, so either all tasks change or none do.
+ * changes: { completed?, projectId?, priority?, dueDate?, addTags?, removeTags?, delete? }
+ */
+handleMutation('task:bulkUpdate', async (_evt, { ids, changes }) => {
+  if (!Array.isArray(ids) || !ids.length) throw new Error('No tasks selected');
+  if (!changes || typeof changes !== 'object') throw new Error('No changes given');
+  const s = await readSettings();
+  const merged = await loadAllData(s);
+  const before = loadedSnapshot(merged);
+
+  const missing = ids.filter((id) => !findTask(merged, id));
+  if (missing.length) throw new Error(`Task not found: ${missing[0]}`);
+  if ('projectId' in changes && !merged.projects.some((p) => p.id === changes.projectId))
+    throw new Error('Project not found');
+  if ('dueDate' in changes && changes.dueDate !== null && !isYMD(changes.dueDate))
+    throw new Error('Invalid due date');
+
+  if (changes.delete) {
+    const drop = new Set(ids);
+    merged.current.tasks = merged.current.tasks.filter((t) => !drop.has(t.id));
+    merged.archive.tasks = merged.archive.tasks.filter((t) => !drop.has(t.id));
+  } else {
+    const addTags = Array.isArray(changes.addTags) ? sanitizeTags(changes.addTags) : [];
+    const removeTags = new Set(
+      (Array.isArray(changes.removeTags) ? sanitizeTags(changes.removeTags) : []).map((x) =>
+        x.toLowerCase(),
+      ),
+    );
+    ids.forEach((id) => {
+      const t = findTask(merged, id);
+      if (!t) return; // a successor taken back by un-completing an earlier task
+      const partial = { id };
+      ['completed', 'projectId', 'priority', 'dueDate'].forEach((k) => {
+        if (k in changes) partial[k] = changes[k];
+      });
+      if (addTags.length || removeTags.size) {
+        const kept = (t.tags || []).filter((x) => !removeTags.has(x.toLowerCase()));
+        const have = new Set(kept.map((x) => x.toLowerCase()));
+        partial.tags = [...kept, ...addTags.filter((x) => !have.has(x.toLowerCase()))];
+      }
+      applyTaskUpdate(merged, partial);
+    });
+  }
+
+  await saveCurrentAndMaybeArchive(s, merged);
+
+  recordHistory(changes.delete ? 'Delete tasks' : 'Edit tasks', before, merged);
+  return { ok: true, count: ids.length };
+});
+
+// Manual ordering from drag-and-drop within a list (project, day, ...).
+// Tasks keep a single `order`; lists sort ordered tasks first by this value.
+handleMutation('task:reorder', async (_evt, ids) => {
+  if (!Array.isArray(ids)) throw new Error('Task ids required');
+  const s = await readSettings();
+  const merged = await loadAllData(s);
+  const before = loadedSnapshot(merged);
+  const position = new Map(ids.map((id, i) => [id, i]));
+  const now = new Date().toISOString();
+  [...merged.current.tasks, ...merged.archive.tasks].forEach((t) => {
+    if (!position.has(t.id)) return;
+    t.order = position.get(t.id);
+    t.updatedAt = now;
+  });
+  await saveCurrentAndMaybeArchive(s, merged);
+  recordHistory('Reorder tasks', before, merged);
+  return true;
+});
+
+// Projected (not yet created) occurrences of recurring tasks within [from, to]
+ipcMain.handle('task:occurrences', async (_evt, { from, to }) => {
+  if (!isYMD(from) || !isYMD(to)) throw new Error('Invalid date range');
+  const s = await readSettings();
+  const merged = await loadAllData(s);
+  return projectOccurrences(merged.tasks, from, to);
+});
+
+handleMutation('task:delete', async (_evt, id) => {
+  const s = await readSettings();
+  const merged = await loadAllData(s);
+  const before = loadedSnapshot(merged);
+  const beforeLen = merged.current.tasks.length + merged.archive.tasks.length;
+  merged.current.tasks = merged.current.tasks.filter((t) => t.id !== id);
+  merged.archive.tasks = merged.archive.tasks.filter((t) => t.id !== id);
+  if (beforeLen === merged.current.tasks.length + merged.archive.tasks.length)
+    throw new Error('Task not found');
+  await saveCurrentAndMaybeArchive(s, merged);
+  recordHistory('Delete task', before, merged);
+  return true;
+});
+
+// Undo / redo: { ok, label } or { ok:false, code:'EMPTY' } when there is nothing to step
+handleMutation('history:undo', () => stepHistory(undoStack, redoStack, 'before'));
+handleMutation('history:redo', () => stepHistory(redoStack, undoStack, 'after'));
+
+// DB: load merged view (current + archive)
+ipcMain.handle('db:load', async () => {
+  try {
+    const s = await readSettings();
+    const merged = await loadAllData(s);
+
+    const result = {
+      settings: { encryptionEnabled: s.encryptionEnabled, useBiometrics: s.useBiometrics },
+      projects: merged.projects,
+      tasks: merged.tasks,
+      views: merged.current.views || [],
+    };
+
+    console.log('db:load returning:', {
+      hasSettings: !!result.settings,
+      projectsCount: result.projects?.length || 0,
+      tasksCount: result.tasks?.length || 0,
+      projects: result.projects,
+    });
+
+    return result;
+  } catch (error) {
+    console.error('db:load error:', error);
+    throw error;
+  }
+});
+
+/* ---------- Backup / Restore ---------- */
+/* A backup is one self-contained file that opens with its own passphrase, whatever the
+ * settings, salt or key slots of the install restoring it:
+ * {
+ *   format:'private-todo-backup', version:2, createdAt,
+ *   meta:{ taskCount, openCount, projectCount, schemaVersion },
+ *   kdf:{ algo, ...params, salt },
+ *   payload: AES-GCM({ current, archive }),
+ *   mac: HMAC-SHA256 over every other field
+ * }
+ * The encryption and MAC keys are derived separately from the passphrase. `meta` stays
+ * readable so a restore can show what the file holds before asking for the passphrase;
+ * the MAC is checked before anything is decrypted or written.
+ *
+ * Version 1 files (the data files copied verbatim, plus settings) are still restored:
+ * plaintext ones directly, encrypted ones with this vault's key or the passcode that
+ * was in use when they were made. */
+const BACKUP_FORMAT = 'private-todo-backup';
+const BACKUP_VERSION = 2;
+const MAX_BACKUP_ARGON2_MEMORY_KIB = 1024 * 1024; // 1 GiB
+
+// KDF parameters read from a file; refuse ones that would stall or exhaust memory
+function assertSaneKdf(kdf) {
+  const powerOfTwo = (n) => Number.isInteger(n) && n > 1 && (n & (n - 1)) === 0;
+  const ok =
+    typeof kdf?.salt === 'string' &&
+    kdf.keyLen === 32 &&
+    ((kdf.algo === 'argon2id' &&
+      kdf.parallelism === 1 &&
+      kdf.iterations >= 1 &&
+      kdf.iterations <= MAX_ARGON2_ITERATIONS &&
+      kdf.memoryKiB >= 8 &&
+      kdf.memoryKiB <= MAX_BACKUP_ARGON2_MEMORY_KIB) ||
+      (kdf.algo === 'scrypt' &&
+        powerOfTwo(kdf.N) &&
+        kdf.N <= MAX_SCRYPT_N &&
+        kdf.r === 8 &&
+        kdf.p === 1));
+  if (!ok) throw new Error('The backup uses unsupported key derivation parameters');
+}
+
+async function backupKeys(passphrase, kdf) {
+  const master = await deriveKey(passphrase, { kdf });
+  const salt = Buffer.from(kdf.salt, 'base64');
+  return {
+    encKey: Buffer.from(crypto.hkdfSync('sha256', master, salt, 'private-todo backup enc', 32)),
+    macKey: Buffer.from(crypto.hkdfSync('sha256', master, salt, 'private-todo backup mac', 32)),
+  };
+}
+
+// Over the fields as they appear in the file, so re-serialising a parsed copy matches
+function backupMac(container, macKey) {
+  const { mac, ...signed } = container;
+  return crypto.createHmac('sha256', macKey).update(JSON.stringify(signed)).digest('base64');
+}
+
+// Shape and schema checks for either format; older data is upgraded in place
+function checkBackupData(data) {
+  if (!Array.isArray(data?.current?.tasks) || !Array.isArray(data.current.projects))
+    throw new Error('The backup does not contain any task data');
+  data.archive ??= {
+    version: data.current.version,
+    createdAt: data.current.createdAt,
+    projects: [],
+    tasks: [],
+  };
+  assertSchemaSupported(data.current, 'The backup');
+  assertSchemaSupported(data.archive, 'The backup archive');
+  migrateData(data.current, 'current');
+  migrateData(data.archive, 'archive');
+  return data;
+}
+
+async function buildBackup(passphrase, { current, archive }) {
+  const kdf = await tuneKdf();
+  const { encKey, macKey } = await backupKeys(passphrase, kdf);
+  const container = {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    createdAt: new Date().toISOString(),
+    meta: { ...summarizeData({ current, archive }), schemaVersion: SCHEMA_VERSION },
+    kdf,
+    payload: encryptPayload({ current, archive }, encKey),
+  };
+  container.mac = backupMac(container, macKey);
+  return container;
+}
+
+// { current, archive } or null for a wrong passphrase. A modified file looks the same
+// as a wrong passphrase: either way the MAC doesn't match.
+async function openBackup(container, passphrase) {
+  assertSaneKdf(container.kdf);
+  const { encKey, macKey } = await backupKeys(String(passphrase || ''), container.kdf);
+  const expected = Buffer.from(backupMac(container, macKey), 'base64');
+  const actual = Buffer.from(String(container.mac || ''), 'base64');
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+  return checkBackupData(decryptPayload(container.payload, encKey));
+}
+
+function decryptLegacyBlob({ current, archive }, key) {
+  try {
+    return {
+      current: decryptPayload(current, key),
+      archive: archive && decryptPayload(archive, key),
+    };
+  } catch {
+    return null;
+  }
+}
+
+// Version 1: the key is this vault's, or comes from the backup's own settings + passcode
+async function openLegacyBackup(container, passcode) {
+  if (!container.encryptionEnabled) {
+    return checkBackupData({ current: container.blob.current, archive: container.blob.archive });
+  }
+  let data = sessionKey && decryptLegacyBlob(container.blob, sessionKey);
+  const settings = container.settings || {};
+  if (!data && passcode && settings.keySlots?.length) {
+    settings.keySlots.filter((x) => x.type === 'passcode').forEach((x) => assertSaneKdf(x.kdf));
+    const opened = await unlockSlot(settings, 'passcode', passcode);
+    if (opened) data = decryptLegacyBlob(container.blob, opened.dataKey);
+  } else if (!data && passcode && settings.kdf) {
+    assertSaneKdf(settings.kdf);
+    data = decryptLegacyBlob(container.blob, await deriveKey(passcode, settings));
+  }
+  return data && checkBackupData(data);
+}
+
+ipcMain.handle('backup:export', async (_evt, passphrase) => {
+  if (String(passphrase || '').length < MIN_PASSCODE_LENGTH)
+    return { ok: false, code: 'WEAK_PASSPHRASE', minLength: MIN_PASSCODE_LENGTH };
+  const s = await readSettings();
+  const { filePath, canceled } = await dialog.showSaveDialog({
+    title: 'Export Backup',
+    defaultPath: join(
+      os.homedir(),
+      `private-todo-backup-${new Date().toISOString().slice(0, 10)}.json`,
+    ),
+    filters: [{ name: 'JSON', extensions: ['json'] }],
+  });
+  if (canceled || !filePath) return { ok: false };
+
+  // The model includes every journal record, so nothing needs compacting first
+  const { current, archive } = await loadAllData(s);
+  const container = await buildBackup(passphrase, { current, archive });
+  await fs.writeFile(filePath, JSON.stringify(container, null, 2), 'utf8');
+  return { ok: true, filePath, meta: container.meta };
+});
+
+// Picked by backup:open, restored by backup:import once the passphrase is known
+let pendingBackup = null;
+
+function openPendingBackup(passphrase) {
+  return pendingBackup.format === BACKUP_FORMAT
+    ? openBackup(pendingBackup, passphrase)
+    : openLegacyBackup(pendingBackup, passphrase);
+}
+
+ipcMain.handle('backup:open', async () => {
+  pendingBackup = null;
+  pendingMerge = null;
+  const { canceled, filePaths } = await dialog.showOpenDialog({
+    title: 'Restore Backup',
+    properties: ['openFile'],
+    filters: [{ name: 'JSON', extensions: ['json'] }],
+  });
+  if (canceled || !filePaths?.length) return { ok: false };
+
+  let container;
+  try {
+    container = JSON.parse(await fs.readFile(filePaths[0], 'utf8'));
+  } catch {
+    throw new Error('Invalid backup file');
+  }
+  if (container?.format === BACKUP_FORMAT) {
+    assertSchemaSupported(container, 'The backup file', BACKUP_VERSION);
+    pendingBackup = container;
+    // `meta` is only vouched for by the MAC, which needs the passphrase
+    return {
+      ok: true,
+      version: container.version,
+      createdAt: container.createdAt,
+      meta: container.meta,
+      needsPassphrase: true,
+    };
+  }
+  if (!container?.version || !container.blob?.current) throw new Error('Invalid backup file');
+  pendingBackup = container;
+  const opensHere = !!sessionKey && !!decryptLegacyBlob(container.blob, sessionKey);
+  return { ok: true, version: 1, needsPassphrase: !!container.encryptionEnabled && !opensHere };
+});
+
+/* Everything is verified and decrypted before the first write. A locked vault (the
+ * "forgot passcode" path) can't take the data under its key, so with
+ * `replaceLockedVault` it is erased and the backup restored unencrypted; the app then
+ * offers to set up a new passcode as on first run. */
+handleMutation('backup:import', async (_evt, { passphrase, replaceLockedVault = false } = {}) => {
+  if (!pendingBackup) return { ok: false };
+  let s = await readSettings();
+  const locked = s.encryptionEnabled && !sessionKey;
+  if (locked && !replaceLockedVault) return { ok: false, code: 'LOCKED' };
+
+  const data = await openPendingBackup(passphrase);
+  if (!data) return { ok: false, code: 'BAD_PASSPHRASE' };
+  pendingBackup = null;
+
+  if (!locked) {
+    // The restore overwrites everything; keep a way back, and fold the journal into the
+    // data files so no record is left to replay onto (or be lost under) the restored ones
+    await takeSnapshot(s);
+    await compactJournal(s, { force: true });
+  }
+  // Nothing is erased until both files are written in full: a failed write (or a crash)
+  // before the renames leaves the vault as it was. A locked vault's passcode is forgotten,
+  // so its replacement is plaintext until a new one is set (the renderer confirms this).
+  const encrypted = !locked && s.encryptionEnabled;
+  const staged = [
+    [dbPath, data.current],
+    [archivePath, data.archive],
+  ].map(([file, payload]) => ({ file, tmp: tempPathFor(file), payload }));
+  try {
+    for (const { tmp, payload } of staged) {
+      await fs.writeFile(tmp, dataFileContents(payload, encrypted), 'utf8');
+    }
+  } catch (e) {
+    await Promise.all(staged.map(({ tmp }) => fs.unlink(tmp).catch(() => {})));
+    throw e;
+  }
+  for (const { file, tmp } of staged) await fs.rename(tmp, file);
+
+  if (locked) {
+    await resetEnvironment({ keepDataFiles: true });
+    s = await readSettings();
+  } else {
+    await discardJournal();
+  }
+  lastSnapshotSeq = null;
+  await refreshReminderIndex(s);
+  scheduleCalendarFeed();
+  clearHistory();
+
+  return { ok: true, meta: summarizeData(data) };
+});
+
+/* Merge restore: tasks and projects are matched by id and the newer `updatedAt` (or
+ * `createdAt`) wins, so nothing created since the backup is lost. Items edited here
+ * after the backup was made, or whose copies can't be ordered by time, are conflicts;
+ * items the backup no longer has although they existed when it was made are listed as
+ * deleted. Both are decided per item and default to keeping the local copy unless the
+ * backup's is newer. The merge is a normal (undoable, journaled) save. */
+const MERGE_KINDS = ['project', 'task'];
+
+function itemTime(x) {
+  return Date.parse(x.updatedAt || x.createdAt) || 0;
+}
+
+// id -> { item, where } over both files; current wins for projects kept in both
+function itemsById(data, kind) {
+  const map = new Map();
+  ['archive', 'current'].forEach((where) =>
+    (data[where]?.[`${kind}s`] || []).forEach((item) => map.set(item.id, { item, where })),
+  );
+  return map;
+}
+
+function planMerge(merged, backup, madeAt) {
+  const plan = { added: [], changed: [], conflicts: [], deleted: [] };
+  MERGE_KINDS.forEach((kind) => {
+    const local = itemsById(merged, kind);
+    const theirs = itemsById(backup, kind);
+    theirs.forEach(({ item: b }, id) => {
+      const key = `${kind}:${id}`;
+      const l = local.get(id)?.item;
+      const title = b.title ?? b.name;
+      if (!l) return plan.added.push({ key, kind, title });
+      if (sameJSON(l, b)) return;
+      const [lt, bt] = [itemTime(l), itemTime(b)];
+      const entry = { key, kind, title, fields: changedFields(l, b) };
+      if (lt > madeAt || !lt || !bt || lt === bt) {
+        plan.conflicts.push({
+          ...entry,
+          localUpdatedAt: l.updatedAt || l.createdAt || null,
+          backupUpdatedAt: b.updatedAt || b.createdAt || null,
+          choice: bt > lt ? 'backup' : 'local',
+        });
+      } else if (bt > lt) {
+        plan.changed.push(entry);
+      }
+      // else: the local copy is newer and wins without asking
+    });
+    local.forEach(({ item: l }, id) => {
+      if (theirs.has(id) || id === 'inbox' || itemTime(l) > madeAt) return;
+      plan.deleted.push({ key: `${kind}:${id}`, kind, title: l.title ?? l.name, choice: 'local' });
+    });
+  });
+  return plan;
+}
+
+// `choices`: key -> 'local' | 'backup' for conflicts and deletions; anything else keeps
+// the plan's default
+function applyMerge(merged, backup, plan, choices = {}) {
+  const decided = (x) =>
+    ['local', 'backup'].includes(choices[x.key]) ? choices[x.key] : x.choice;
+  const take = new Set([
+    ...plan.added.map((x) => x.key),
+    ...plan.changed.map((x) => x.key),
+    ...plan.conflicts.filter((x) => decided(x) === 'backup').map((x) => x.key),
+  ]);
+  const drop = new Set(plan.deleted.filter((x) => decided(x) === 'backup').map((x) => x.key));
+
+  MERGE_KINDS.forEach((kind) => {
+    const field = `${kind}s`;
+    const theirs = itemsById(backup, kind);
+    ['current', 'archive'].forEach((where) => {
+      merged[where][field] = (merged[where][field] || []).filter(
+        (x) => !drop.has(`${kind}:${x.id}`),
+      );
+    });
+    theirs.forEach(({ item, where }, id) => {
+      if (!take.has(`${kind}:${id}`)) return;
+      const copies = ['current', 'archive'].filter((w) =>
+        (merged[w][field] || []).some((x) => x.id === id),
+      );
+      if (kind === 'project' && copies.length) {
+        // Projects may be kept in both files; update every copy in place
+        copies.forEach((w) => {
+          merged[w][field] = merged[w][field].map((x) =>
+            x.id === id ? structuredClone(item) : x,
+          );
+        });
+        return;
+      }
+      // A task lives in exactly one file: the one the backup had it in
+      copies.forEach((w) => {
+        merged[w][field] = merged[w][field].filter((x) => x.id !== id);
+      });
+      merged[where][field] = [...(merged[where][field] || []), structuredClone(item)];
+    });
+  });
+  repairMergedReferences(merged);
+}
+
+// Either side may point at a project the other side deleted, or (after mixing
+// parents from both) form a cycle
+function repairMergedReferences(merged) {
+  const projects = [...merged.current.projects, ...(merged.archive.projects || [])];
+  const parentOf = new Map(projects.map((p) => [p.id, p.parentId ?? null]));
+  const cyclic = (id) => {
+    const seen = new Set([id]);
+    for (let p = parentOf.get(id); p; p = parentOf.get(p)) {
+      if (seen.has(p)) return true;
+      seen.add(p);
+    }
+    return false;
+  };
+  projects.forEach((p) => {
+    if ((p.parentId && !parentOf.has(p.parentId)) || cyclic(p.id)) {
+      p.parentId = null;
+      parentOf.set(p.id, null);
+    }
+  });
+  [...merged.current.tasks, ...(merged.archive.tasks || [])].forEach((t) => {
+    if (!parentOf.has(t.projectId)) t.projectId = 'inbox';
+  });
+}
+
+// Decrypted data of the backup being merged; the passphrase itself is not kept
+let pendingMerge = null;
+
+function backupMadeAt(container, data) {
+  const at = Date.parse(container.createdAt);
+  if (at) return at;
+  // Version 1 files don't say; the newest item in them is the closest guess
+  const items = MERGE_KINDS.flatMap((k) => [...itemsById(data, k).values()]);
+  return Math.max(0, ...items.map((x) => itemTime(x.item)));
+}
+
+function previewOf(plan) {
+  const sample = (list) => list.slice(0, SNAPSHOT_DIFF_SAMPLES);
+  return {
+    added: { count: plan.added.length, titles: sample(plan.added).map((x) => x.title) },
+    changed: {
+      count: plan.changed.length,
+      items: sample(plan.changed).map(({ title, fields }) => ({ title, fields })),
+    },
+    conflicts: plan.conflicts,
+    deleted: plan.deleted,
+  };
+}
+
+ipcMain.handle('backup:previewMerge', async (_evt, { passphrase } = {}) => {
+  if (!pendingBackup) return { ok: false };
+  const s = await readSettings();
+  const data = await openPendingBackup(passphrase);
+  if (!data) return { ok: false, code: 'BAD_PASSPHRASE' };
+  pendingMerge = { data, madeAt: backupMadeAt(pendingBackup, data) };
+  pendingBackup = null;
+  const merged = await loadAllData(s);
+  return { ok: true, preview: previewOf(planMerge(merged, data, pendingMerge.madeAt)) };
+});
+
+// The plan is worked out again against the data as it is now, so a change made while
+// the preview was open isn't overwritten
+handleMutation('backup:merge', async (_evt, { choices } = {}) => {
+  if (!pendingMerge) return { ok: false };
+  const { data, madeAt } = pendingMerge;
+  const s = await readSettings();
+  await takeSnapshot(s);
+  const merged = await loadAllData(s);
+  const before = loadedSnapshot(merged);
+  const plan = planMerge(merged, data, madeAt);
+  applyMerge(merged, data, plan, choices);
+  await saveCurrentAndMaybeArchive(s, merged);
+  recordHistory('Merge backup', before, merged);
+  pendingMerge = null;
+  return { ok: true };
+});
+
+/* ---------- Importers ---------- */
+/* Each parser turns another app's export into the same neutral shape:
+ *   { projects:[{ key, name, parentKey }], tasks:[{ title, description, projectKey,
+ *     priority, tags, dueDate, dueTime, completed, dateCompleted, createdAt, checklist }],
+ *     dropped:[{ where, what }] }
+ * Project keys are name paths, so a project is matched to an existing one with the same
+ * name under the same parent (case-insensitive) or created like project:add would.
+ * import:preview only parses and reports; import:commit applies it as one undoable save. */
+const IMPORT_SAMPLES = 20;
+
+function importResult() {
+  return { projects: [], tasks: [], dropped: [] };
+}
+
+// Registers the project path `names` (parents first) and returns its key
+function importProject(out, names) {
+  let parentKey = null;
+  names.forEach((name) => {
+    const key = parentKey ? `${parentKey}›${name}` : name;
+    if (!out.projects.some((p) => p.key === key)) out.projects.push({ key, name, parentKey });
+    parentKey = key;
+  });
+  return parentKey;
+}
+
+function importTask(fields) {
+  return {
+    title: '',
+    description: '',
+    projectKey: null,
+    priority: 0,
+    tags: [],
+    dueDate: null,
+    dueTime: null,
+    completed: false,
+    dateCompleted: null,
+    createdAt: null,
+    checklist: [],
+    ...fields,
+  };
+}
+
+// "2026-11-01", "2026-11-01T17:30:00" or "2026-11-01 17:30" -> { dueDate, dueTime }
+function importDue(value) {
+  const m = String(value || '').match(/^(\d{4}-\d{2}-\d{2})(?:[T ](\d{2}:\d{2}))?/);
+  if (!m || Number.isNaN(ymdToDate(m[1]).getTime())) return null;
+  return { dueDate: m[1], dueTime: m[2] && isHM(m[2]) ? m[2] : null };
+}
+
+// ISO timestamp for a date or date-time string, or null
+function importTimestamp(value) {
+  if (!value) return null;
+  const d = isYMD(value) ? ymdToDate(value) : new Date(value);
+  return Number.isNaN(d.getTime()) ? null : d.toISOString();
+}
+
+/* todo.txt: one task per line,
+ *   x 2026-11-02 2026-11-01 (A) Title +Project @context due:2026-11-05
+ * (A)/(B)/(C) become P1–P3; lower letters are capped at P3. Contexts become tags, the
+ * first +project the project and any further ones tags. */
+const TODO_TXT_PRIORITIES = { A: 1, B: 2, C: 3 };
+
+function parseTodoTxt(text) {
+  const out = importResult();
+  text.split(/\r?\n/).forEach((raw, i) => {
+    let line = raw.trim();
+    if (!line) return;
+    const where = `line ${i + 1}`;
+    const task = importTask({});
+    let m = line.match(/^x (?:(\d{4}-\d{2}-\d{2}) (?:(\d{4}-\d{2}-\d{2}) )?)?/);
+    if (m) {
+      task.completed = true;
+      task.dateCompleted = importTimestamp(m[1]) || new Date().toISOString();
+      task.createdAt = importTimestamp(m[2]);
+      line = line.slice(m[0].length);
+    }
+    let letter = null;
+    m = line.match(/^\(([A-Z])\) /);
+    if (m) {
+      letter = m[1];
+      line = line.slice(m[0].length);
+    }
+    m = !task.completed && line.match(/^(\d{4}-\d{2}-\d{2}) /);
+    if (m) {
+      task.createdAt = importTimestamp(m[1]);
+      line = line.slice(m[0].length);
+    }
+
+    const words = [];
+    line.split(/\s+/).forEach((word) => {
+      const kv = word.match(/^([A-Za-z][\w-]*):([^\s/][^\s]*)$/);
+      if (/^\+\S/.test(word)) {
+        if (task.projectKey) task.tags.push(word.slice(1));
+        else task.projectKey = importProject(out, [word.slice(1)]);
+      } else if (/^@\S/.test(word)) {
+        task.tags.push(word.slice(1));
+      } else if (kv && kv[1] === 'due') {
+        const due = importDue(kv[2]);
+        if (due) Object.assign(task, due);
+        else out.dropped.push({ where, what: `due date "${kv[2]}"` });
+      } else if (kv && kv[1] === 'pri' && /^[A-Z]$/.test(kv[2])) {
+        letter ??= kv[2]; // completed tasks keep their priority as pri:X
+      } else if (kv) {
+        out.dropped.push({ where, what: `${kv[1]}:${kv[2]}` });
+      } else {
+        words.push(word);
+      }
+    });
+    if (letter) {
+      task.priority = TODO_TXT_PRIORITIES[letter] ?? 3;
+      if (!TODO_TXT_PRIORITIES[letter])
+        out.dropped.push({ where, what: `priority (${letter}) imported as P3` });
+    }
+    task.title = words.join(' ');
+    if (!task.title) {
+      out.dropped.push({ where, what: 'task without a title' });
+      return;
+    }
+    out.tasks.push(task);
+  });
+  return out;
+}
+
+/* TaskPaper: "Name:" lines are projects (nested by indentation), "- " lines tasks and
+ * anything else a note on the task above. Tasks nested under a task become checklist
+ * steps. @done(date), @due(date) and @priority(n) are understood; other tags are kept
+ * by name. */
+function parseTaskPaper(text) {
+  const out = importResult();
+  const stack = []; // { indent, projectKey } | { indent, task } | { indent, step: true }
+  text.split(/\r?\n/).forEach((raw, i) => {
+    if (!raw.trim()) return;
+    const where = `line ${i + 1}`;
+    const indent = raw.match(/^\s*/)[0].length;
+    while (stack.length && stack.at(-1).indent >= indent) stack.pop();
+    const line = raw.trim();
+    const projectKey = [...stack].reverse().find((x) => x.projectKey)?.projectKey ?? null;
+    const parentTask = [...stack].reverse().find((x) => x.task)?.task;
+
+    if (line.startsWith('- ')) {
+      const task = importTask({ projectKey });
+      task.title = taskPaperTags(line.slice(2), task, out, where);
+      if (parentTask) {
+        parentTask.checklist.push({ title: task.title, done: task.completed });
+        if (stack.at(-1)?.step)
+          out.dropped.push({ where, what: 'deeper nesting (added as a step of the top task)' });
+        stack.push({ indent, step: true });
+      } else {
+        out.tasks.push(task);
+        stack.push({ indent, task });
+      }
+      return;
+    }
+    const project = line.match(/^(.+?):(\s+@.*)?$/);
+    if (project) {
+      const path = projectKey ? [...projectKey.split('›'), project[1]] : [project[1]];
+      stack.push({ indent, projectKey: importProject(out, path) });
+      return;
+    }
+    if (stack.at(-1)?.task) {
+      const task = stack.at(-1).task;
+      task.description = task.description ? `${task.description}\n${line}` : line;
+    } else {
+      const on = stack.at(-1)?.step ? ' on a step' : '';
+      out.dropped.push({ where, what: `note "${line.slice(0, 40)}"${on}` });
+    }
+  });
+  return out;
+}
+
+// Applies the @tags of one TaskPaper line to `task`; returns the title without them
+function taskPaperTags(text, task, out, where) {
+  return text
+    .replace(/(^|\s)@([\w.-]+)(?:\(([^)]*)\))?/g, (_m, _sp, name, value) => {
+      const tag = name.toLowerCase();
+      if (tag === 'done') {
+        task.completed = true;
+        task.dateCompleted = importTimestamp(value) || new Date().toISOString();
+      } else if (tag === 'due') {
+        const due = importDue(value);
+        if (due) Object.assign(task, due);
+        else out.dropped.push({ where, what: `due date "${value}"` });
+      } else if (tag === 'priority') {
+        task.priority = clampPriority(value);
+        if (String(task.priority) !== String(value).trim())
+          out.dropped.push({ where, what: `priority ${value} imported as P${task.priority}` });
+      } else {
+        task.tags.push(name);
+        if (value) out.dropped.push({ where, what: `value of @${name}(${value})` });
+      }
+      return '';
+    })
+    .trim();
+}
+
+// Todoist's API ranks 4 (its "p1", urgent) down to 1 (no priority)
+function todoistPriority(p) {
+  const n = Number(p);
+  return n >= 2 && n <= 4 ? 5 - n : 0;
+}
+
+// Labels are written inline in the content as @label
+function todoistContent(content, task) {
+  return String(content || '')
+    .replace(/(^|\s)@([\w-]+)/g, (_m, _sp, label) => {
+      task.tags.push(label);
+      return '';
+    })
+    .trim();
+}
+
+// Minimal RFC 4180 reader: quoted fields, doubled quotes, newlines inside quotes
+function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') quoted = true;
+    else if (c === ',') {
+      row.push(field);
+      field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else field += c;
+  }
+  if (field || row.length) rows.push([...row, field]);
+  return rows.filter((r) => r.some((f) => f.trim()));
+}
+
+// The CSV export numbers priorities the way the app shows them: 1 = p1 (urgent), 4 = none
+const TODOIST_CSV_PRIORITIES = { 1: 1, 2: 2, 3: 3, 4: 0 };
+
+/* Todoist CSV (one file per project, named after it): sections become sub-projects,
+ * indented tasks steps of the task above, notes its description. Completed tasks are
+ * not part of this export. */
+function parseTodoistCsv(text, fileName) {
+  const out = importResult();
+  const [header, ...rows] = parseCSV(text.replace(/^\uFEFF/, ''));
+  const col = Object.fromEntries((header || []).map((h, i) => [h.trim().toUpperCase(), i]));
+  if (col.TYPE === undefined || col.CONTENT === undefined)
+    throw new Error('Not a Todoist CSV export (TYPE and CONTENT columns are missing)');
+  const projectName = basename(fileName).replace(/\.csv$/i, '').trim() || 'Todoist';
+  const rootKey = importProject(out, [projectName]);
+  let sectionKey = rootKey;
+  let lastTask = null;
+  rows.forEach((r, i) => {
+    const where = `row ${i + 2}`;
+    const get = (name) => (col[name] === undefined ? '' : String(r[col[name]] ?? '').trim());
+    const type = get('TYPE').toLowerCase();
+    if (type === 'section') {
+      sectionKey = importProject(out, [projectName, get('CONTENT')]);
+      lastTask = null;
+    } else if (type === 'note') {
+      if (!lastTask) out.dropped.push({ where, what: 'project comment' });
+      else lastTask.description = [lastTask.description, get('CONTENT')].filter(Boolean).join('\n');
+    } else if (type === 'task') {
+      const task = importTask({
+        projectKey: sectionKey,
+        priority: TODOIST_CSV_PRIORITIES[get('PRIORITY')] ?? 0,
+      });
+      task.title = todoistContent(get('CONTENT'), task);
+      task.description = get('DESCRIPTION');
+      const date = get('DATE');
+      const due = importDue(date);
+      if (due) Object.assign(task, due);
+      else if (date) out.dropped.push({ where, what: `date "${date}" (only YYYY-MM-DD is read)` });
+      const indent = Number(get('INDENT'));
+      if (indent > 1 && lastTask) {
+        if (indent > 2)
+          out.dropped.push({ where, what: 'deeper nesting (added as a step of the top task)' });
+        lastTask.checklist.push({ title: task.title, done: false });
+        return;
+      }
+      out.tasks.push(task);
+      lastTask = task;
+    } else if (type) {
+      out.dropped.push({ where, what: `${type} row` });
+    }
+  });
+  return out;
+}
+
+/* Todoist JSON: the sync/backup shape ({ projects, sections, items }) or the REST one
+ * ({ projects, sections, tasks }). Sub-tasks become checklist steps. */
+function parseTodoistJson(data) {
+  const out = importResult();
+  const items = data?.items ?? data?.tasks;
+  if (!Array.isArray(items) || !Array.isArray(data.projects))
+    throw new Error('Not a Todoist JSON export (projects and items are missing)');
+  const projects = new Map(data.projects.map((p) => [String(p.id), p]));
+  const pathOf = (id, seen = new Set()) => {
+    const p = projects.get(String(id));
+    if (!p || seen.has(p.id)) return [];
+    seen.add(p.id);
+    if (p.inbox_project || p.is_inbox_project) return ['Inbox'];
+    return [...(p.parent_id ? pathOf(p.parent_id, seen) : []), p.name];
+  };
+  const sections = new Map((data.sections || []).map((s) => [String(s.id), s]));
+  const byId = new Map();
+  items.forEach((it) => {
+    const where = String(it.content || it.id).slice(0, 40);
+    const path = pathOf(it.project_id);
+    const section = sections.get(String(it.section_id));
+    const task = importTask({
+      projectKey: path.length ? importProject(out, section ? [...path, section.name] : path) : null,
+      priority: todoistPriority(it.priority),
+      description: String(it.description || '').trim(),
+      completed: !!(it.checked || it.is_completed),
+      dateCompleted: importTimestamp(it.completed_at),
+      createdAt: importTimestamp(it.added_at || it.created_at),
+    });
+    task.title = todoistContent(it.content, task);
+    (it.labels || []).forEach((l) => task.tags.push(String(l)));
+    if (task.completed) task.dateCompleted ??= new Date().toISOString();
+    if (it.due) {
+      const date = it.due.datetime || it.due.date;
+      const due = importDue(date);
+      if (due) Object.assign(task, due);
+      else out.dropped.push({ where, what: `due date "${date || it.due.string || ''}"` });
+      if (it.due.is_recurring) out.dropped.push({ where, what: `repeat "${it.due.string}"` });
+    }
+    byId.set(String(it.id), task);
+  });
+  items.forEach((it) => {
+    const task = byId.get(String(it.id));
+    const parent = it.parent_id && byId.get(String(it.parent_id));
+    if (parent) parent.checklist.push({ title: task.title, done: task.completed });
+    else out.tasks.push(task);
+  });
+  return out;
+}
+
+/* Things: the JSON of its URL scheme / exporters, a list of
+ *   { type:'project', attributes:{ title, area, items:[to-dos and headings] } } and
+ *   { type:'to-do', attributes:{ title, notes, deadline, when, tags, completed,
+ *     canceled, 'checklist-items' } }.
+ * Areas become parent projects; a date in `when` is used when there's no deadline. */
+function parseThingsJson(data) {
+  const out = importResult();
+  const list = Array.isArray(data) ? data : data?.items;
+  if (!Array.isArray(list)) throw new Error('Not a Things JSON export (expected a list of items)');
+  const addTodo = (item, projectKey) => {
+    const a = item.attributes || {};
+    const where = String(a.title || '').slice(0, 40);
+    const task = importTask({
+      title: String(a.title || '').trim(),
+      description: String(a.notes || '').trim(),
+      projectKey,
+      completed: !!(a.completed || a.canceled),
+      dateCompleted: importTimestamp(a['completion-date']),
+      createdAt: importTimestamp(a['creation-date']),
+    });
+    if (task.completed) task.dateCompleted ??= new Date().toISOString();
+    if (a.canceled) out.dropped.push({ where, what: 'canceled (imported as completed)' });
+    (a.tags || []).forEach((t) => task.tags.push(String(t)));
+    const due = importDue(a.deadline) || importDue(a.when);
+    if (due) Object.assign(task, due);
+    else if (a.when) out.dropped.push({ where, what: `when "${a.when}"` });
+    (a['checklist-items'] || []).forEach((c) =>
+      task.checklist.push({
+        title: String(c.attributes?.title || ''),
+        done: !!c.attributes?.completed,
+      }),
+    );
+    if (!task.title) out.dropped.push({ where: 'to-do', what: 'to-do without a title' });
+    else out.tasks.push(task);
+  };
+  list.forEach((item) => {
+    const a = item.attributes || {};
+    if (item.type === 'to-do') {
+      const path = [a.area, a.list].filter(Boolean).map(String);
+      addTodo(item, path.length ? importProject(out, path) : null);
+    } else if (item.type === 'project') {
+      const key = importProject(out, [a.area, a.title].filter(Boolean).map(String));
+      (a.items || []).forEach((child) => {
+        if (child.type === 'to-do') addTodo(child, key);
+        else if (child.type === 'heading')
+          out.dropped.push({ where: a.title, what: `heading "${child.attributes?.title}"` });
+      });
+    } else {
+      out.dropped.push({ where: String(a.title || item.type), what: `${item.type} item` });
+    }
+  });
+  return out;
+}
+
+const IMPORT_FORMATS = {
+  todotxt: { name: 'todo.txt', extensions: ['txt'], parse: parseTodoTxt },
+  taskpaper: { name: 'TaskPaper', extensions: ['taskpaper', 'txt'], parse: parseTaskPaper },
+  'todoist-csv': { name: 'Todoist CSV', extensions: ['csv'], parse: parseTodoistCsv },
+  'todoist-json': {
+    name: 'Todoist JSON',
+    extensions: ['json'],
+    parse: (text) => parseTodoistJson(JSON.parse(text)),
+  },
+  things: {
+    name: 'Things JSON',
+    extensions: ['json'],
+    parse: (text) => parseThingsJson(JSON.parse(text)),
+  },
+};
 
-    // prevent dup by name (case-insensitive)
-    const exists = [...(merged.current.projects || []), ...(merged.archive.projects || [])].some(
-      (p) => p?.name?.toLowerCase() === nm.toLowerCase(),
+// Project key -> id, creating missing projects; fills `created` with their names
+function resolveImportProjects(merged, parsed, created) {
+  const ids = new Map();
+  parsed.projects.forEach(({ key, name, parentKey }) => {
+    const parentId = parentKey ? ids.get(parentKey) : null;
+    const nm = name.trim() || 'Imported';
+    const existing = merged.projects.find(
+      (p) => (p.parentId ?? null) === parentId && p.name.toLowerCase() === nm.toLowerCase(),
     );
-    if (exists) throw new Error('A project with that name already exists');
+    if (existing || (!parentId && nm.toLowerCase() === 'inbox')) {
+      ids.set(key, existing?.id ?? 'inbox');
+      return;
+    }
+    const project = newProjectRecord(merged, nm, parentId === 'inbox' ? null : parentId);
+    merged.current.projects.push(project);
+    merged.projects.push(project);
+    created.push(key.replaceAll('›', ' › '));
+    ids.set(key, project.id);
+  });
+  return ids;
+}
 
-    if (!Array.isArray(merged.current.projects)) {
-      console.log('Initializing projects array');
-      merged.current.projects = [];
+// Adds the parsed data to `merged`; returns the dry-run report
+function applyImport(merged, parsed) {
+  const created = [];
+  const projectIds = resolveImportProjects(merged, parsed, created);
+  const report = {
+    taskCount: 0,
+    projectsCreated: created,
+    mapped: { priority: 0, dueDate: 0, tags: 0, completed: 0, checklist: 0 },
+    dropped: [...parsed.dropped],
+    titles: [],
+  };
+  const now = new Date().toISOString();
+  parsed.tasks.forEach((t) => {
+    const tags = [...new Set(t.tags)];
+    const task = newTaskRecord(
+      {
+        title: t.title,
+        description: t.description,
+        projectId: projectIds.get(t.projectKey) ?? 'inbox',
+        priority: t.priority,
+        tags,
+        dueDate: t.dueDate,
+        dueTime: t.dueTime,
+      },
+      now,
+    );
+    const where = task.title;
+    if (tags.length > task.tags.length)
+      report.dropped.push({ where, what: `${tags.length - task.tags.length} tags over the limit` });
+    const steps = t.checklist.filter((c) => c.title.trim());
+    task.checklist = steps.slice(0, MAX_CHECKLIST_ITEMS).map((c) => ({
+      id: `item_${randId()}`,
+      title: c.title.trim(),
+      done: !!c.done,
+      createdAt: now,
+    }));
+    const extraSteps = steps.length - task.checklist.length;
+    if (extraSteps) report.dropped.push({ where, what: `${extraSteps} steps over the limit` });
+    if (t.completed) {
+      task.completed = true;
+      task.dateCompleted = t.dateCompleted || now;
     }
-    const id = `proj_${randId()}`;
-    const newProject = { id, name: nm, createdAt: new Date().toISOString() };
-    merged.current.projects.push(newProject);
+    if (t.createdAt) task.createdAt = t.createdAt;
+    merged.current.tasks.push(task);
 
-    console.log('About to save, projects count:', merged.current.projects.length);
-    await saveCurrentAndMaybeArchive(s, merged);
-    console.log('Project saved successfully');
+    report.taskCount++;
+    if (task.priority) report.mapped.priority++;
+    if (task.dueDate) report.mapped.dueDate++;
+    if (task.tags.length) report.mapped.tags++;
+    if (task.completed) report.mapped.completed++;
+    if (task.checklist.length) report.mapped.checklist++;
+    if (report.titles.length < IMPORT_SAMPLES) report.titles.push(task.title);
+  });
+  return report;
+}
 
-    return { id, name: nm };
-  } catch (error) {
-    console.error('Project add error:', error);
-    throw error;
+// Parsed by import:preview, added by import:commit
+let pendingImport = null;
+
+ipcMain.handle('import:preview', async (_evt, format) => {
+  pendingImport = null;
+  const fmt = IMPORT_FORMATS[format];
+  if (!fmt) throw new Error(`Unknown import format: ${format}`);
+  const { canceled, filePaths } = await dialog.showOpenDialog({
+    title: `Import from ${fmt.name}`,
+    properties: ['openFile'],
+    filters: [{ name: fmt.name, extensions: fmt.extensions }],
+  });
+  if (canceled || !filePaths?.length) return { ok: false };
+
+  const text = await fs.readFile(filePaths[0], 'utf8');
+  let parsed;
+  try {
+    parsed = fmt.parse(text, filePaths[0]);
+  } catch (e) {
+    throw new Error(`Could not read ${basename(filePaths[0])} as ${fmt.name}: ${e.message}`);
   }
+  // A dry run against a throwaway copy gives the exact report without saving anything
+  const s = await readSettings();
+  const report = applyImport(await loadAllData(s), parsed);
+  pendingImport = parsed;
+  return { ok: true, format: fmt.name, fileName: basename(filePaths[0]), ...report };
 });
 
-ipcMain.handle('project:rename', async (_evt, { id, name }) => {
+handleMutation('import:commit', async () => {
+  if (!pendingImport) return { ok: false };
   const s = await readSettings();
   const merged = await loadAllData(s);
-  const inCurrent = merged.current.projects.find((p) => p.id === id);
-  const inArchive = merged.archive.projects?.find((p) => p.id === id);
-  const target = inCurrent || inArchive;
-  if (!target) throw new Error('Project not found');
-  target.name = name;
+  const before = loadedSnapshot(merged);
+  const report = applyImport(merged, pendingImport);
   await saveCurrentAndMaybeArchive(s, merged);
-  return true;
+  recordHistory('Import tasks', before, merged);
+  pendingImport = null;
+  return { ok: true, taskCount: report.taskCount };
 });
-ipcMain.handle('project:delete', async (_evt, id) => {
-  if (id === 'inbox') throw new Error('Cannot delete Inbox');
-  const s = await readSettings();
-  const merged = await loadAllData(s);
-  merged.current.tasks.forEach((t) => {
-    if (t.projectId === id) t.projectId = 'inbox';
+
+/* ---------- Plain exports ---------- */
+/* Readable copies of the tasks for other tools. Unlike backups these are plaintext:
+ * the renderer says so before asking for a file. `filter`:
+ *   { projectId: string|null (with its sub-projects), from/to: 'YYYY-MM-DD'|null (due
+ *     date range; undated tasks are left out when set), includeArchive: boolean } */
+const ICS_PRIORITIES = { 1: 1, 2: 5, 3: 9 }; // RFC 5545: 1 highest, 9 lowest
+
+// "Work › Clients › Acme"
+function projectPathName(projects, id) {
+  const byId = new Map(projects.map((p) => [p.id, p]));
+  const names = [];
+  const seen = new Set();
+  for (let p = byId.get(id); p && !seen.has(p.id); p = byId.get(p.parentId)) {
+    seen.add(p.id);
+    names.unshift(p.name);
+  }
+  return names.join(' › ') || 'Inbox';
+}
+
+function filterExportTasks(merged, filter = {}) {
+  const tasks = filter.includeArchive ? merged.tasks : merged.current.tasks;
+  const inProject = filter.projectId ? projectSubtreeIds(merged.projects, filter.projectId) : null;
+  const from = isYMD(filter.from) ? filter.from : null;
+  const to = isYMD(filter.to) ? filter.to : null;
+  return tasks.filter(
+    (t) =>
+      (!inProject || inProject.has(t.projectId || 'inbox')) &&
+      (!(from || to) || (t.dueDate && (!from || t.dueDate >= from) && (!to || t.dueDate <= to))),
+  );
+}
+
+// Project path -> tasks, in sidebar order (by path name) with open tasks first
+function groupByProject(tasks, projects) {
+  const groups = new Map();
+  tasks.forEach((t) => {
+    const name = projectPathName(projects, t.projectId || 'inbox');
+    if (!groups.has(name)) groups.set(name, []);
+    groups.get(name).push(t);
   });
-  merged.archive.tasks.forEach((t) => {
-    if (t.projectId === id) t.projectId = 'inbox';
+  const byDue = (a, b) =>
+    a.completed - b.completed || (a.dueDate || '9999').localeCompare(b.dueDate || '9999');
+  return [...groups.entries()]
+    .sort(([a], [b]) => (a === 'Inbox' ? -1 : b === 'Inbox' ? 1 : a.localeCompare(b)))
+    .map(([name, list]) => [name, list.sort(byDue)]);
+}
+
+function exportMarkdown(tasks, projects) {
+  const lines = [`# Private Todo — exported ${dateToYMD(new Date())}`, ''];
+  groupByProject(tasks, projects).forEach(([name, list]) => {
+    lines.push(`## ${name}`, '');
+    list.forEach((t) => {
+      const meta = [
+        t.dueDate && `due ${t.dueDate}${t.dueTime ? ` ${t.dueTime}` : ''}`,
+        t.priority && `P${t.priority}`,
+        ...(t.tags || []).map((tag) => `#${tag}`),
+      ].filter(Boolean);
+      const suffix = meta.length ? ` (${meta.join(', ')})` : '';
+      lines.push(`- [${t.completed ? 'x' : ' '}] ${t.title}${suffix}`);
+      (t.checklist || []).forEach((c) => lines.push(`  - [${c.done ? 'x' : ' '}] ${c.title}`));
+      if (t.description) t.description.split('\n').forEach((l) => lines.push(`  > ${l}`));
+    });
+    lines.push('');
   });
-  merged.current.projects = merged.current.projects.filter((p) => p.id !== id);
-  merged.archive.projects = (merged.archive.projects || []).filter((p) => p.id !== id);
-  await saveCurrentAndMaybeArchive(s, merged);
-  return true;
-});
+  return lines.join('\n');
+}
 
-// Tasks
-ipcMain.handle('task:add', async (_evt, task) => {
-  const s = await readSettings();
-  const merged = await loadAllData(s);
-  const id = `task_${randId()}`;
-  const now = new Date().toISOString();
-  const newTask = {
-    id,
-    title: task.title?.trim() || 'Untitled',
-    description: task.description?.trim() || '',
-    projectId: task.projectId || 'inbox',
-    dueDate: task.dueDate || null,
-    priority: clampPriority(task.priority),
-    tags: Array.isArray(task.tags) ? sanitizeTags(task.tags) : [],
-    completed: false,
-    dateCompleted: null,
-    createdAt: now,
-    updatedAt: now,
-  };
-  merged.current.tasks.push(newTask);
-  await saveCurrentAndMaybeArchive(s, merged);
-  return newTask;
-});
+// Quotes as needed, and defuses values a spreadsheet would run as a formula
+function csvField(value) {
+  let s = String(value ?? '');
+  if (/^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\n\r]/.test(s) ? `"${s.replaceAll('"', '""')}"` : s;
+}
 
-ipcMain.handle('task:update', async (_evt, partial) => {
-  const s = await readSettings();
-  const merged = await loadAllData(s);
+function exportCSV(tasks, projects) {
+  const header = [
+    'Title',
+    'Project',
+    'Priority',
+    'Due Date',
+    'Due Time',
+    'Tags',
+    'Completed',
+    'Completed At',
+    'Checklist',
+    'Description',
+    'Created',
+  ];
+  const rows = tasks.map((t) => [
+    t.title,
+    projectPathName(projects, t.projectId || 'inbox'),
+    t.priority ? `P${t.priority}` : '',
+    t.dueDate || '',
+    t.dueTime || '',
+    (t.tags || []).join(', '),
+    t.completed ? 'yes' : 'no',
+    t.dateCompleted || '',
+    (t.checklist || []).map((c) => `[${c.done ? 'x' : ' '}] ${c.title}`).join('\n'),
+    t.description || '',
+    t.createdAt || '',
+  ]);
+  return [header, ...rows].map((r) => r.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
 
-  const findTask = (id) =>
-    merged.current.tasks.find((t) => t.id === id) || merged.archive.tasks.find((t) => t.id === id);
-  const t = findTask(partial.id);
-  if (!t) throw new Error('Task not found');
+// The inverse of parseTodoTxt; spaces in project and tag names become underscores
+function exportTodoTxt(tasks, projects) {
+  const word = (s) => String(s).trim().replace(/\s+/g, '_');
+  const letter = (p) => ['', 'A', 'B', 'C'][p] || '';
+  return tasks
+    .map((t) => {
+      const parts = [];
+      const created = t.createdAt ? dateToYMD(new Date(t.createdAt)) : null;
+      if (t.completed) {
+        parts.push('x', dateToYMD(new Date(t.dateCompleted || Date.now())));
+        if (created) parts.push(created);
+      } else {
+        if (letter(t.priority)) parts.push(`(${letter(t.priority)})`);
+        if (created) parts.push(created);
+      }
+      parts.push(t.title.replace(/\s+/g, ' ').trim());
+      if ((t.projectId || 'inbox') !== 'inbox') {
+        const name = projects.find((p) => p.id === t.projectId)?.name;
+        if (name) parts.push(`+${word(name)}`);
+      }
+      (t.tags || []).forEach((tag) => parts.push(`@${word(tag)}`));
+      if (t.dueDate) parts.push(`due:${t.dueDate}`);
+      if (t.completed && letter(t.priority)) parts.push(`pri:${letter(t.priority)}`);
+      return parts.join(' ');
+    })
+    .join('\n')
+    .concat('\n');
+}
 
-  if (typeof partial.title === 'string') t.title = partial.title.trim();
-  if (typeof partial.description === 'string') t.description = partial.description.trim();
-  if (typeof partial.projectId === 'string') t.projectId = partial.projectId;
-  if (typeof partial.dueDate !== 'undefined') t.dueDate = partial.dueDate;
-  if (typeof partial.priority !== 'undefined') t.priority = clampPriority(partial.priority);
-  if (Array.isArray(partial.tags)) t.tags = sanitizeTags(partial.tags);
-  if (typeof partial.completed === 'boolean') {
-    t.completed = partial.completed;
-    t.dateCompleted = t.completed ? new Date().toISOString() : null;
+/* ---- iCalendar ---- */
+function icsText(s) {
+  return String(s ?? '')
+    .replaceAll('\\', '\\\\')
+    .replaceAll(';', '\\;')
+    .replaceAll(',', '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets are folded onto continuation lines starting with a space
+function icsFold(line) {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) return line;
+  const out = [];
+  let chunk = '';
+  for (const ch of line) {
+    const limit = out.length ? 74 : 75;
+    if (Buffer.byteLength(chunk + ch, 'utf8') > limit) {
+      out.push(chunk);
+      chunk = '';
+    }
+    chunk += ch;
   }
-  t.updatedAt = new Date().toISOString();
+  out.push(chunk);
+  return out.join('\r\n ');
+}
 
-  await saveCurrentAndMaybeArchive(s, merged);
-  return t;
-});
+function icsStamp(d) {
+  return d.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+const ICS_WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+function icsRRule(r) {
+  if (!r || r.freq === 'afterCompletion') return null;
+  const parts = [`FREQ=${r.freq.toUpperCase()}`, `INTERVAL=${r.interval || 1}`];
+  if (r.freq === 'weekly' && r.weekdays?.length)
+    parts.push(`BYDAY=${r.weekdays.map((d) => ICS_WEEKDAYS[d]).join(',')}`);
+  if (r.freq === 'monthly' && r.monthDay) parts.push(`BYMONTHDAY=${r.monthDay}`);
+  if (r.until) parts.push(`UNTIL=${r.until.replaceAll('-', '')}`);
+  return `RRULE:${parts.join(';')}`;
+}
+
+/* Tasks with a due date as VEVENTs (all-day, or 30 minutes at the due time) or VTODOs.
+ * Times are floating (no zone), like the app's own due times.
+ * `describe(t)` -> { summary, description, categories } controls what is revealed. */
+function buildICS(tasks, { component = 'event', describe, calendarName = 'Private Todo' }) {
+  const now = icsStamp(new Date());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Private Todo//Tasks//EN',
+    'CALSCALE:GREGORIAN',
+    `X-WR-CALNAME:${icsText(calendarName)}`,
+  ];
+  tasks
+    .filter((t) => isYMD(t.dueDate))
+    .forEach((t) => {
+      const { summary, description, categories } = describe(t);
+      const day = t.dueDate.replaceAll('-', '');
+      const at = t.dueTime ? `${day}T${t.dueTime.replace(':', '')}00` : null;
+      const kind = component === 'todo' ? 'VTODO' : 'VEVENT';
+      lines.push(`BEGIN:${kind}`, `UID:${t.id}@private-todo`, `DTSTAMP:${now}`);
+      lines.push(`SUMMARY:${icsText(summary)}`);
+      if (description) lines.push(`DESCRIPTION:${icsText(description)}`);
+      if (categories?.length) lines.push(`CATEGORIES:${categories.map(icsText).join(',')}`);
+      if (kind === 'VTODO') {
+        lines.push(at ? `DUE:${at}` : `DUE;VALUE=DATE:${day}`);
+        lines.push(`STATUS:${t.completed ? 'COMPLETED' : 'NEEDS-ACTION'}`);
+        if (t.completed && t.dateCompleted)
+          lines.push(`COMPLETED:${icsStamp(new Date(t.dateCompleted))}`);
+        if (ICS_PRIORITIES[t.priority]) lines.push(`PRIORITY:${ICS_PRIORITIES[t.priority]}`);
+      } else if (at) {
+        lines.push(`DTSTART:${at}`, 'DURATION:PT30M');
+      } else {
+        const next = dateToYMD(addDays(ymdToDate(t.dueDate), 1)).replaceAll('-', '');
+        lines.push(`DTSTART;VALUE=DATE:${day}`, `DTEND;VALUE=DATE:${next}`, 'TRANSP:TRANSPARENT');
+      }
+      // A VTODO without DTSTART has nothing to repeat from
+      const rrule = kind === 'VEVENT' && !t.completed && icsRRule(t.recurrence);
+      if (rrule) lines.push(rrule);
+      lines.push(`END:${kind}`);
+    });
+  lines.push('END:VCALENDAR');
+  return lines.map(icsFold).join('\r\n') + '\r\n';
+}
+
+function exportICS(tasks, projects, { component } = {}) {
+  return buildICS(tasks, {
+    component,
+    describe: (t) => ({
+      summary: t.completed ? `✓ ${t.title}` : t.title,
+      description: t.description,
+      categories: [projectPathName(projects, t.projectId || 'inbox'), ...(t.tags || [])],
+    }),
+  });
+}
+
+const EXPORT_FORMATS = {
+  markdown: { name: 'Markdown', extension: 'md', render: exportMarkdown },
+  csv: { name: 'CSV', extension: 'csv', render: exportCSV },
+  todotxt: { name: 'todo.txt', extension: 'txt', render: exportTodoTxt },
+  ics: { name: 'iCalendar', extension: 'ics', render: exportICS },
+};
 
-ipcMain.handle('task:delete', async (_evt, id) => {
+ipcMain.handle('export:tasks', async (_evt, { format, filter = {}, component = 'event' } = {}) => {
+  const fmt = EXPORT_FORMATS[format];
+  if (!fmt) throw new Error(`Unknown export format: ${format}`);
   const s = await readSettings();
   const merged = await loadAllData(s);
-  const beforeLen = merged.current.tasks.length + merged.archive.tasks.length;
-  merged.current.tasks = merged.current.tasks.filter((t) => t.id !== id);
-  merged.archive.tasks = merged.archive.tasks.filter((t) => t.id !== id);
-  if (beforeLen === merged.current.tasks.length + merged.archive.tasks.length)
-    throw new Error('Task not found');
-  await saveCurrentAndMaybeArchive(s, merged);
-  return true;
+  let tasks = filterExportTasks(merged, filter);
+  if (format === 'ics') tasks = tasks.filter((t) => t.dueDate);
+  if (!tasks.length) return { ok: false, code: 'EMPTY' };
+
+  const { filePath, canceled } = await dialog.showSaveDialog({
+    title: `Export ${fmt.name}`,
+    defaultPath: join(os.homedir(), `private-todo-${dateToYMD(new Date())}.${fmt.extension}`),
+    filters: [{ name: fmt.name, extensions: [fmt.extension] }],
+  });
+  if (canceled || !filePath) return { ok: false };
+  await fs.writeFile(filePath, fmt.render(tasks, merged.projects, { component }), 'utf8');
+  return { ok: true, filePath, taskCount: tasks.length };
 });
 
-// DB: load merged view (current + archive)
-ipcMain.handle('db:load', async () => {
-  try {
-    const s = await readSettings();
-    const merged = await loadAllData(s);
+/* ---------- Calendar feed ---------- */
+/* Opt-in: upcoming due tasks as an .ics that calendar apps can subscribe to, either a
+ * file kept up to date at a path the user picks or a URL on 127.0.0.1. This is the one
+ * place data leaves the encrypted store, so the default shows only "Busy" blocks. The
+ * feed is rebuilt shortly after each save and on unlock; while locked the last one
+ * stays. The URL carries a random token and only answers loopback Host headers, so
+ * neither other users' guesses nor DNS-rebinding pages can read it. */
+const CALENDAR_FEED_DEBOUNCE_MS = 1000;
+const CALENDAR_FEED_DAYS_BACK = 7; // overdue tasks stay visible for a week
+const MAX_CALENDAR_FEED_DAYS = 365;
 
-    const result = {
-      settings: { encryptionEnabled: s.encryptionEnabled, useBiometrics: s.useBiometrics },
-      projects: merged.projects,
-      tasks: merged.tasks,
-    };
+let calendarFeedTimer = null;
+let calendarFeedText = null; // last generated feed, served over http
+let calendarFeedServer = null;
+let calendarFeedError = null; // e.g. port in use; shown in the settings
 
-    console.log('db:load returning:', {
-      hasSettings: !!result.settings,
-      projectsCount: result.projects?.length || 0,
-      tasksCount: result.tasks?.length || 0,
-      projects: result.projects,
-    });
+function calendarFeedUrl(feed) {
+  return `http://127.0.0.1:${feed.port}/${feed.token}/calendar.ics`;
+}
 
-    return result;
-  } catch (error) {
-    console.error('db:load error:', error);
-    throw error;
-  }
-});
+function buildCalendarFeed(merged, feed) {
+  const today = new Date();
+  const from = dateToYMD(addDays(today, -CALENDAR_FEED_DAYS_BACK));
+  const to = dateToYMD(addDays(today, feed.daysAhead));
+  const scope = feed.projectIds.length
+    ? new Set(feed.projectIds.flatMap((id) => [...projectSubtreeIds(merged.projects, id)]))
+    : null;
+  const tasks = merged.tasks.filter(
+    (t) =>
+      isYMD(t.dueDate) &&
+      t.dueDate >= from &&
+      t.dueDate <= to &&
+      (feed.includeCompleted || !t.completed) &&
+      (!scope || scope.has(t.projectId || 'inbox')),
+  );
+  const describe =
+    feed.redact === 'titles'
+      ? (t) => ({
+          summary: t.completed ? `✓ ${t.title}` : t.title,
+          categories: [projectPathName(merged.projects, t.projectId || 'inbox')],
+        })
+      : () => ({ summary: 'Busy' });
+  return buildICS(tasks, { component: 'event', describe });
+}
 
-/* ---------- Backup / Restore ---------- */
-/** Exports a single file:
- * {
- *   version:1,
- *   encryptionEnabled:boolean,
- *   settings:{kdf...},
- *   blob:{ current: <encryptedOrPlain>, archive: <encryptedOrPlain|null> }
- * }
- */
-ipcMain.handle('backup:export', async () => {
+// Called after every save; a burst of changes (bulk edits, imports) writes once
+function scheduleCalendarFeed() {
+  clearTimeout(calendarFeedTimer);
+  calendarFeedTimer = setTimeout(() => {
+    updateCalendarFeed().catch((e) => console.error('Calendar feed update failed:', e));
+  }, CALENDAR_FEED_DEBOUNCE_MS);
+}
+
+async function updateCalendarFeed() {
   const s = await readSettings();
-  const { filePath, canceled } = await dialog.showSaveDialog({
-    title: 'Export Backup',
-    defaultPath: join(os.homedir(), 'private-todo-offline-backup.json'),
-    filters: [{ name: 'JSON', extensions: ['json'] }],
+  const feed = s.calendarFeed;
+  if (!feed?.enabled || (s.encryptionEnabled && !sessionKey)) return;
+  calendarFeedText = buildCalendarFeed(await loadAllData(s), feed);
+  if (calendarFeedFile(feed)) await atomicWrite(feed.filePath, calendarFeedText);
+}
+
+function startCalendarServer(feed) {
+  stopCalendarServer();
+  calendarFeedError = null;
+  const hosts = [`127.0.0.1:${feed.port}`, `localhost:${feed.port}`];
+  const path = `/${feed.token}/calendar.ics`;
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://127.0.0.1');
+    if (req.method !== 'GET' || !hosts.includes(req.headers.host) || url.pathname !== path) {
+      res.writeHead(404).end();
+    } else if (calendarFeedText === null) {
+      res.writeHead(503, { 'Retry-After': '300' }).end(); // not unlocked since start
+    } else {
+      res.writeHead(200, {
+        'Content-Type': 'text/calendar; charset=utf-8',
+        'Cache-Control': 'no-store',
+      });
+      res.end(calendarFeedText);
+    }
   });
-  if (canceled || !filePath) return { ok: false };
+  server.on('error', (e) => {
+    calendarFeedError = e.message;
+    console.error('Calendar feed server failed:', e.message);
+  });
+  server.listen(feed.port, '127.0.0.1');
+  calendarFeedServer = server;
+}
 
-  const backup = {
-    version: 1,
-    encryptionEnabled: s.encryptionEnabled,
-    settings: s,
-    blob: { current: null, archive: null },
+function stopCalendarServer() {
+  calendarFeedServer?.close();
+  calendarFeedServer = null;
+}
+
+// At startup and whenever the settings change
+async function startCalendarFeed() {
+  const { calendarFeed: feed } = await readSettings();
+  if (feed?.enabled && feed.mode === 'http') startCalendarServer(feed);
+  else stopCalendarServer();
+  if (feed?.enabled) scheduleCalendarFeed();
+}
+
+// Where the feed is currently written, if anywhere
+function calendarFeedFile(feed) {
+  return feed?.enabled && feed.mode === 'file' ? feed.filePath : null;
+}
+
+// Turning the feed off (or erasing everything) also removes what it wrote
+async function removeCalendarFeed(feed) {
+  clearTimeout(calendarFeedTimer);
+  stopCalendarServer();
+  calendarFeedText = null;
+  if (calendarFeedFile(feed)) await fs.unlink(calendarFeedFile(feed)).catch(() => {});
+}
+
+function calendarFeedInfo(feed) {
+  return {
+    ...feed,
+    token: undefined,
+    url: feed.enabled && feed.mode === 'http' ? calendarFeedUrl(feed) : null,
+    error: feed.enabled ? calendarFeedError : null,
   };
-  if (s.encryptionEnabled) {
-    // just copy encrypted files verbatim
-    const curRaw = existsSync(dbPath) ? JSON.parse(await fs.readFile(dbPath, 'utf8')) : null;
-    const arcRaw = existsSync(archivePath)
-      ? JSON.parse(await fs.readFile(archivePath, 'utf8'))
-      : null;
-    backup.blob.current = curRaw;
-    if (arcRaw) backup.blob.archive = arcRaw;
-  } else {
-    // copy plaintext as-is
-    backup.blob.current = existsSync(dbPath)
-      ? JSON.parse(await fs.readFile(dbPath, 'utf8'))
-      : defaultDB;
-    backup.blob.archive = existsSync(archivePath)
-      ? JSON.parse(await fs.readFile(archivePath, 'utf8'))
-      : null;
-  }
+}
 
-  await fs.writeFile(filePath, JSON.stringify(backup, null, 2), 'utf8');
-  return { ok: true, filePath };
+ipcMain.handle('calendarFeed:get', async () => {
+  const s = await readSettings();
+  return calendarFeedInfo({ ...defaultSettings.calendarFeed, ...s.calendarFeed });
 });
 
-ipcMain.handle('backup:import', async () => {
-  const { canceled, filePaths } = await dialog.showOpenDialog({
-    title: 'Restore Backup',
-    properties: ['openFile'],
-    filters: [{ name: 'JSON', extensions: ['json'] }],
+// Asked before calendarFeed:set, outside the mutation queue: an open dialog must not hold
+// up saves or auto-lock. Resolves to the chosen path or null.
+ipcMain.handle('calendarFeed:chooseFile', async () => {
+  const { calendarFeed: feed } = await readSettings();
+  const { filePath, canceled } = await dialog.showSaveDialog({
+    title: 'Calendar Feed File',
+    defaultPath: feed?.filePath || join(os.homedir(), 'private-todo.ics'),
+    filters: [{ name: 'iCalendar', extensions: ['ics'] }],
   });
-  if (canceled || !filePaths?.length) return { ok: false };
-
-  const raw = await fs.readFile(filePaths[0], 'utf8');
-  const parsed = JSON.parse(raw);
+  return canceled || !filePath ? null : filePath;
+});
 
-  if (!parsed || !parsed.version || !parsed.blob) throw new Error('Invalid backup file');
+handleMutation('calendarFeed:set', async (_evt, patch = {}) => {
   const s = await readSettings();
-
-  // If backup was encrypted but app is not (or vice versa), we still write files accordingly
-  if (parsed.encryptionEnabled) {
-    // Write encrypted payloads directly
-    await atomicWrite(dbPath, JSON.stringify(parsed.blob.current, null, 2));
-    if (parsed.blob.archive)
-      await atomicWrite(archivePath, JSON.stringify(parsed.blob.archive, null, 2));
-  } else {
-    // Write plaintext (and if app uses encryption now, we’ll re-encrypt on write)
-    await writeJSONFile(dbPath, parsed.blob.current, s.encryptionEnabled);
-    if (parsed.blob.archive)
-      await writeJSONFile(archivePath, parsed.blob.archive, s.encryptionEnabled);
+  const prev = { ...defaultSettings.calendarFeed, ...s.calendarFeed };
+  const next = { ...prev };
+  if (patch.enabled !== undefined) next.enabled = !!patch.enabled;
+  if (patch.includeCompleted !== undefined) next.includeCompleted = !!patch.includeCompleted;
+  if (patch.mode !== undefined) {
+    if (!['file', 'http'].includes(patch.mode)) throw new Error('Feed mode must be file or http');
+    next.mode = patch.mode;
+  }
+  if (patch.redact !== undefined) {
+    if (!['busy', 'titles'].includes(patch.redact))
+      throw new Error('Feed redaction must be busy or titles');
+    next.redact = patch.redact;
+  }
+  if (patch.port !== undefined) {
+    const n = Math.floor(Number(patch.port));
+    if (Number.isNaN(n) || n < 1024 || n > 65535)
+      throw new Error('Port must be between 1024 and 65535');
+    next.port = n;
   }
+  if (patch.daysAhead !== undefined) {
+    const n = Math.floor(Number(patch.daysAhead));
+    if (Number.isNaN(n) || n < 1 || n > MAX_CALENDAR_FEED_DAYS)
+      throw new Error(`Days ahead must be between 1 and ${MAX_CALENDAR_FEED_DAYS}`);
+    next.daysAhead = n;
+  }
+  if (patch.filePath !== undefined) {
+    const file = String(patch.filePath);
+    if (!isAbsolute(file) || !/\.ics$/i.test(file))
+      throw new Error('The feed file must be a full path ending in .ics');
+    next.filePath = file;
+  }
+  if (Array.isArray(patch.projectIds)) next.projectIds = patch.projectIds.map(String);
+  if (patch.newToken || !next.token) next.token = crypto.randomBytes(16).toString('hex');
+  if (next.enabled && next.mode === 'file' && !next.filePath)
+    throw new Error('Choose a file for the calendar feed');
 
-  return { ok: true };
-  });
+  // Nothing is left behind where the feed no longer writes
+  if (!next.enabled) await removeCalendarFeed(prev);
+  else if (calendarFeedFile(prev) && calendarFeedFile(prev) !== calendarFeedFile(next))
+    await fs.unlink(calendarFeedFile(prev)).catch(() => {});
+  s.calendarFeed = next;
+  await writeSettings(s);
+  await startCalendarFeed();
+  if (next.enabled) await updateCalendarFeed();
+  return { ok: true, feed: calendarFeedInfo(next) };
+});
 
   /* Window Controls */
   ipcMain.handle('window:close', () => {
@@ -738,26 +4107,44 @@ ipcMain.handle('backup:import', async () => {
     return { ok: true };
   });
 
-  // Allow starting fresh if passcode is lost
-  ipcMain.handle('env:reset', async () => {
+// Erase everything local; also the "wipe after N wrong passcodes" action
+// keepDataFiles: db.json / archive.json were just replaced by a restore and stay
+async function resetEnvironment({ keepDataFiles = false } = {}) {
+  await removeCalendarFeed((await readSettings()).calendarFeed);
+  // remove data files if they exist
+  await Promise.all([
+    !keepDataFiles && fs.unlink(dbPath).catch(() => {}),
+    !keepDataFiles && fs.unlink(archivePath).catch(() => {}),
+    fs.unlink(settingsPath).catch(() => {}),
+    fs.unlink(remindersPath).catch(() => {}),
+    fs.unlink(rekeyMarkerPath).catch(() => {}),
+    discardPreMigrationCopies(),
+    fs.rm(snapshotsDir, { recursive: true, force: true }),
+  ]);
+  snapshotSummaries.clear();
+  lastSnapshotSeq = null;
+  await discardJournal();
+  await updateReminderIndex((idx) =>
+    Object.assign(idx, { built: false, entries: [], snoozes: [] }),
+  );
+
+  // remove any stored key and in-memory session
   try {
-    // remove data files if they exist
-    await Promise.all([
-      fs.unlink(dbPath).catch(() => {}),
-      fs.unlink(archivePath).catch(() => {}),
-      fs.unlink(settingsPath).catch(() => {}),
-    ]);
-
-    // remove any stored key and in-memory session
-    try {
-      await keytar.deletePassword(KEYTAR_SERVICE, KEYTAR_ACCOUNT);
-    } catch {
-      console.warn('Keychain delete failed during env reset');
-    }
-    sessionKey = null;
+    await keytar.deletePassword(KEYTAR_SERVICE, KEYTAR_ACCOUNT);
+  } catch {
+    console.warn('Keychain delete failed during env reset');
+  }
+  sessionKey = null;
+  clearHistory();
 
-    // recreate default files
-    await ensureFiles();
+  // recreate default files
+  await ensureFiles();
+}
+
+  // Allow starting fresh if passcode is lost
+  handleMutation('env:reset', async () => {
+  try {
+    await resetEnvironment();
     return { ok: true };
   } catch (error) {
     console.error('env:reset error', error);
@@ -781,3 +4168,213 @@ function sanitizeTags(tags) {
     .filter(Boolean)
     .slice(0, 20);
 }
+// Minutes before the due time; 0 means "at due time". Capped at one week.
+function sanitizeReminders(offsets) {
+  const valid = offsets
+    .map((o) => Math.floor(Number(o)))
+    .filter((o) => Number.isInteger(o) && o >= 0 && o <= 7 * 24 * 60);
+  return [...new Set(valid)].sort((a, b) => a - b).slice(0, 5);
+}
+function sanitizeViewQuery(q) {
+  const query = String(q || '').trim();
+  if (!query) throw new Error('View query required');
+  if (query.length > MAX_VIEW_QUERY_LENGTH) throw new Error('View query is too long');
+  return query;
+}
+function isHM(s) {
+  return typeof s === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(s);
+}
+function isYMD(s) {
+  return typeof s === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(s);
+}
+function ymdToDate(s) {
+  const [y, m, d] = s.split('-').map(Number);
+  return new Date(y, m - 1, d);
+}
+function dateToYMD(d) {
+  const y = d.getFullYear();
+  const m = String(d.getMonth() + 1).padStart(2, '0');
+  const day = String(d.getDate()).padStart(2, '0');
+  return `${y}-${m}-${day}`;
+}
+function addDays(d, n) {
+  const c = new Date(d);
+  c.setDate(c.getDate() + n);
+  return c;
+}
+
+/* ---------- Recurrence ---------- */
+/** Rule shape:
+ * {
+ *   freq: 'daily'|'weekly'|'monthly'|'yearly'|'afterCompletion',
+ *   interval: number,        // every N days/weeks/months/years
+ *   weekdays?: number[],     // weekly only, 0 = Sunday
+ *   monthDay?: number|null,  // monthly only, clamped to the month's length
+ *   anchorDay?: number,      // monthly (without monthDay) and yearly: the day of the month
+ *                            // the series started on, kept once a short month clamps it
+ *   until?: 'YYYY-MM-DD'     // optional last allowed due date
+ * }
+ */
+const RECURRENCE_FREQS = ['daily', 'weekly', 'monthly', 'yearly', 'afterCompletion'];
+
+function normalizeRecurrence(r) {
+  if (!r || typeof r !== 'object') return null;
+  if (!RECURRENCE_FREQS.includes(r.freq)) return null;
+  const interval = Math.floor(Number(r.interval));
+  const rule = {
+    freq: r.freq,
+    interval: Number.isNaN(interval) ? 1 : Math.max(1, Math.min(365, interval)),
+  };
+  if (rule.freq === 'weekly') {
+    const days = Array.isArray(r.weekdays) ? r.weekdays.map(Number) : [];
+    rule.weekdays = [...new Set(days.filter((d) => Number.isInteger(d) && d >= 0 && d <= 6))].sort(
+      (a, b) => a - b,
+    );
+  }
+  if (rule.freq === 'monthly') {
+    const day = Math.floor(Number(r.monthDay));
+    rule.monthDay = day >= 1 && day <= 31 ? day : null;
+  }
+  if (rule.freq === 'monthly' || rule.freq === 'yearly') {
+    const anchor = Math.floor(Number(r.anchorDay));
+    if (anchor >= 1 && anchor <= 31) rule.anchorDay = anchor;
+  }
+  if (isYMD(r.until)) rule.until = r.until;
+  return rule;
+}
+
+// `rule` with the day of `dueYMD` as its anchor, unless it already has one
+function anchoredRule(rule, dueYMD) {
+  if (!['monthly', 'yearly'].includes(rule.freq) || rule.anchorDay || !isYMD(dueYMD)) return rule;
+  return { ...rule, anchorDay: ymdToDate(dueYMD).getDate() };
+}
+
+// Day `day` of month `m`, clamped so e.g. "day 31" lands on Feb 28/29
+function clampedDate(y, m, day) {
+  const last = new Date(y, m + 1, 0).getDate();
+  return new Date(y, m, Math.min(day, last));
+}
+
+/** Next due date strictly after `fromYMD`, or null once past `rule.until`. */
+function nextOccurrence(rule, fromYMD, completedYMD = fromYMD) {
+  const from = ymdToDate(fromYMD);
+  let next;
+  switch (rule.freq) {
+    case 'daily':
+      next = addDays(from, rule.interval);
+      break;
+    case 'afterCompletion':
+      next = addDays(ymdToDate(completedYMD), rule.interval);
+      break;
+    case 'weekly': {
+      const days = rule.weekdays?.length ? rule.weekdays : [from.getDay()];
+      const laterThisWeek = days.find((d) => d > from.getDay());
+      if (typeof laterThisWeek === 'number') {
+        next = addDays(from, laterThisWeek - from.getDay());
+      } else {
+        const weekStart = addDays(from, -from.getDay());
+        next = addDays(weekStart, 7 * rule.interval + days[0]);
+      }
+      break;
+    }
+    case 'monthly': {
+      const day = rule.monthDay || rule.anchorDay || from.getDate();
+      // A later day in the same month only counts for "every month"; every N months
+      // moves on N months like any other step
+      const sameMonth = clampedDate(from.getFullYear(), from.getMonth(), day);
+      next =
+        rule.interval === 1 && sameMonth > from
+          ? sameMonth
+          : clampedDate(from.getFullYear(), from.getMonth() + rule.interval, day);
+      break;
+    }
+    case 'yearly':
+      next = clampedDate(
+        from.getFullYear() + rule.interval,
+        from.getMonth(),
+        rule.anchorDay || from.getDate(),
+      );
+      break;
+    default:
+      return null;
+  }
+  const ymd = dateToYMD(next);
+  if (rule.until && ymd > rule.until) return null;
+  return ymd;
+}
+
+/** Builds the next open instance of a just-completed recurring task. The finished
+ * instance keeps its history but hands the rule over to its successor and remembers
+ * which task that is (`successorId`), so un-completing it can take the rule back. */
+function spawnNextOccurrence(t) {
+  const today = dateToYMD(new Date());
+  const rule = anchoredRule(t.recurrence, t.dueDate);
+  let dueDate = nextOccurrence(rule, t.dueDate || today, today);
+  // Don't regenerate straight into the past when an overdue instance is completed late
+  for (let i = 0; dueDate && dueDate < today && i < 1000; i++) {
+    dueDate = nextOccurrence(rule, dueDate, today);
+  }
+  if (!dueDate) return null;
+
+  const now = new Date().toISOString();
+  const seriesId = t.seriesId || t.id;
+  const next = {
+    ...t,
+    id: `task_${randId()}`,
+    tags: [...(t.tags || [])],
+    checklist: (t.checklist || []).map((i) => ({ ...i, done: false })),
+    recurrence: rule === t.recurrence ? { ...rule } : rule,
+    seriesId,
+    dueDate,
+    completed: false,
+    dateCompleted: null,
+    createdAt: now,
+    updatedAt: now,
+  };
+  delete next.successorId;
+  t.seriesId = seriesId;
+  t.successorId = next.id;
+  t.recurrence = null;
+  return next;
+}
+
+// Un-completing an instance whose successor is still open undoes the hand-over: the
+// successor is removed and the rule goes back to this instance
+function reclaimOccurrence(merged, t) {
+  const next = t.successorId && merged.current.tasks.find((x) => x.id === t.successorId);
+  delete t.successorId;
+  if (!next || next.completed) return;
+  merged.current.tasks = merged.current.tasks.filter((x) => x !== next);
+  t.recurrence = next.recurrence;
+}
+
+function projectOccurrences(tasks, from, to) {
+  const out = [];
+  tasks.forEach((t) => {
+    if (t.completed || !t.recurrence || !t.dueDate) return;
+    const rule = anchoredRule(t.recurrence, t.dueDate);
+    let d = nextOccurrence(rule, t.dueDate);
+    for (let i = 0; d && d <= to && i < 400; i++) {
+      if (d >= from) out.push({ taskId: t.id, dueDate: d });
+      d = nextOccurrence(rule, d);
+    }
+  });
+  return out;
+}
+
+/* ---------- Test surface ---------- */
+// Nothing in the app imports this module; the tests in test/ load it against stand-ins
+// for Electron and the keychain and reach these internals directly.
+export {
+  ensureFiles,
+  readSettings,
+  loadAllData,
+  saveCurrentAndMaybeArchive,
+  serializeMutation,
+  SCHEMA_VERSION,
+  SETTINGS_VERSION,
+  DATA_MIGRATIONS,
+  SETTINGS_MIGRATIONS,
+  runMigrations,
+  assertSchemaSupported,
+};
@@ -11,27 +11,85 @@ contextBridge.exposeInMainWorld('api', {
 
   /* Security */
   securityGetConfig: () => ipcRenderer.invoke('security:getConfig'),
-  securityEnable: (passcode, useBiometrics) =>
-    ipcRenderer.invoke('security:enable', { passcode, useBiometrics }),
+  securityEnable: (passcode, useBiometrics, kdfProfile) =>
+    ipcRenderer.invoke('security:enable', { passcode, useBiometrics, kdfProfile }),
   securityUnlock: (passcode) => ipcRenderer.invoke('security:unlock', { passcode }),
   securityLock: () => ipcRenderer.invoke('security:lock'),
+  changePasscode: (oldPasscode, newPasscode) =>
+    ipcRenderer.invoke('security:changePasscode', { oldPasscode, newPasscode }),
+  recoverWithKey: (recoveryKey, newPasscode, slotId) =>
+    ipcRenderer.invoke('security:recover', { recoveryKey, newPasscode, slotId }),
+  listKeySlots: () => ipcRenderer.invoke('security:listKeySlots'),
+  addPasscodeSlot: (label, passcode) =>
+    ipcRenderer.invoke('security:addPasscodeSlot', { label, passcode }),
+  removeKeySlot: (id) => ipcRenderer.invoke('security:removeKeySlot', id),
+  createRecoveryKey: () => ipcRenderer.invoke('security:createRecoveryKey'),
+  setWipeAfter: (attempts) => ipcRenderer.invoke('security:setWipeAfter', attempts),
+  setAutoLock: (patch) => ipcRenderer.invoke('security:setAutoLock', patch),
+  reportActivity: () => ipcRenderer.send('app:activity'),
+  onLocked: (cb) => ipcRenderer.on('security:locked', () => cb()),
 
   /* DB merged view */
   loadDB: () => ipcRenderer.invoke('db:load'),
 
   /* Projects */
-  addProject: (name) => ipcRenderer.invoke('project:add', name),
+  addProject: (name, parentId = null) => ipcRenderer.invoke('project:add', { name, parentId }),
   renameProject: (id, name) => ipcRenderer.invoke('project:rename', { id, name }),
-  deleteProject: (id) => ipcRenderer.invoke('project:delete', id),
+  moveProject: (id, parentId) => ipcRenderer.invoke('project:move', { id, parentId }),
+  // children: 'rehome' (lift sub-projects one level) | 'delete' (remove the subtree)
+  deleteProject: (id, children) => ipcRenderer.invoke('project:delete', { id, children }),
+  reorderProjects: (ids) => ipcRenderer.invoke('project:reorder', ids),
+
+  /* Smart views */
+  addView: (name, query) => ipcRenderer.invoke('view:add', { name, query }),
+  updateView: (id, changes) => ipcRenderer.invoke('view:update', { id, ...changes }),
+  reorderViews: (ids) => ipcRenderer.invoke('view:reorder', ids),
+  deleteView: (id) => ipcRenderer.invoke('view:delete', id),
 
   /* Tasks */
   addTask: (task) => ipcRenderer.invoke('task:add', task),
   updateTask: (partial) => ipcRenderer.invoke('task:update', partial),
   deleteTask: (id) => ipcRenderer.invoke('task:delete', id),
+  bulkUpdateTasks: (ids, changes) => ipcRenderer.invoke('task:bulkUpdate', { ids, changes }),
+  reorderTasks: (ids) => ipcRenderer.invoke('task:reorder', ids),
+  addChecklistItem: (taskId, title) =>
+    ipcRenderer.invoke('task:checklistAdd', { taskId, title }),
+  updateChecklistItem: (taskId, itemId, changes) =>
+    ipcRenderer.invoke('task:checklistUpdate', { taskId, itemId, ...changes }),
+  deleteChecklistItem: (taskId, itemId) =>
+    ipcRenderer.invoke('task:checklistDelete', { taskId, itemId }),
+  reorderChecklist: (taskId, itemIds) =>
+    ipcRenderer.invoke('task:checklistReorder', { taskId, itemIds }),
+  getOccurrences: (from, to) => ipcRenderer.invoke('task:occurrences', { from, to }),
+
+  /* Undo / redo (in-memory history kept by main) */
+  undo: () => ipcRenderer.invoke('history:undo'),
+  redo: () => ipcRenderer.invoke('history:redo'),
 
   /* Backup */
-  exportBackup: () => ipcRenderer.invoke('backup:export'),
-  importBackup: () => ipcRenderer.invoke('backup:import'),
+  exportBackup: (passphrase) => ipcRenderer.invoke('backup:export', passphrase),
+  openBackup: () => ipcRenderer.invoke('backup:open'),
+  importBackup: (passphrase, replaceLockedVault = false) =>
+    ipcRenderer.invoke('backup:import', { passphrase, replaceLockedVault }),
+  previewBackupMerge: (passphrase) => ipcRenderer.invoke('backup:previewMerge', { passphrase }),
+  mergeBackup: (choices) => ipcRenderer.invoke('backup:merge', { choices }),
+
+  /* Import from other apps */
+  previewImport: (format) => ipcRenderer.invoke('import:preview', format),
+  commitImport: () => ipcRenderer.invoke('import:commit'),
+  exportTasks: (format, filter, component) =>
+    ipcRenderer.invoke('export:tasks', { format, filter, component }),
+  getCalendarFeed: () => ipcRenderer.invoke('calendarFeed:get'),
+  chooseCalendarFeedFile: () => ipcRenderer.invoke('calendarFeed:chooseFile'),
+  setCalendarFeed: (patch) => ipcRenderer.invoke('calendarFeed:set', patch),
+
+  /* Automatic snapshots */
+  listSnapshots: () => ipcRenderer.invoke('snapshot:list'),
+  diffSnapshot: (id) => ipcRenderer.invoke('snapshot:diff', id),
+  restoreSnapshot: (id) => ipcRenderer.invoke('snapshot:restore', id),
+
+  /* Main-process initiated changes (e.g. completing from a notification) */
+  onDataChanged: (cb) => ipcRenderer.on('db:changed', () => cb()),
 
   /* Environment */
   resetEnvironment: () => ipcRenderer.invoke('env:reset'),
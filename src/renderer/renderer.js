@@ -6,6 +6,13 @@ if (!('api' in window)) {
 /* global api */
 const state = {
   db: null,
+  projections: [],
+  searchIndex: null, // built lazily from state.db on the first search after a load
+  expandedChecklists: new Set(),
+  selection: new Set(), // task ids picked with ctrl/cmd/shift-click for bulk actions
+  selectionAnchor: null,
+  collapsedProjects: new Set(), // sidebar tree nodes folded by the user (this session only)
+  includeSubprojects: true, // project view also lists tasks of nested projects
   view: { type: 'today', projectId: null },
   showCompleted: false,
   searchQuery: '',
@@ -37,6 +44,16 @@ async function init() {
   bindNav();
   bindInputs();
   bindTitlebarButtons();
+  bindDragAndDrop();
+  bindBulkActions();
+  bindHistory();
+  bindActivity();
+
+  // e.g. a task completed from a reminder notification
+  api.onDataChanged(() => {
+    if (state.db) loadAndRender();
+  });
+  api.onLocked(onLocked);
 }
 
 /* ---------- Security flows ---------- */
@@ -92,6 +109,12 @@ async function unlockFlow() {
     if (res?.ok) {
       console.log('Passcode unlock successful');
       state.unlocked = true;
+    } else if (res?.code === 'WIPED') {
+      alert('Too many wrong passcodes. Local data was erased as configured.');
+      location.reload();
+    } else if (res?.code === 'BAD_PASSCODE' || res?.code === 'THROTTLED') {
+      alert(unlockFailureMessage(res));
+      return unlockFlow();
     }
   } catch (e) {
     console.error('Passcode unlock failed:', e);
@@ -100,49 +123,110 @@ async function unlockFlow() {
   }
 }
 
+function unlockFailureMessage({ code, retryAfterMs, attemptsLeft }) {
+  const lines = [code === 'THROTTLED' ? 'Too many attempts.' : 'Incorrect passcode.'];
+  if (retryAfterMs > 0) lines.push(`Try again in ${Math.ceil(retryAfterMs / 1000)} s.`);
+  if (attemptsLeft != null)
+    lines.push(`${attemptsLeft} more wrong passcode(s) will erase all local data.`);
+  return lines.join('\n');
+}
+
+/* ---------- Auto-lock ---------- */
+const ACTIVITY_REPORT_MS = 20 * 1000;
+
+// Tells main the app is in use so its idle timer doesn't lock; at most every 20s
+function bindActivity() {
+  let last = 0;
+  const report = () => {
+    const now = Date.now();
+    if (now - last < ACTIVITY_REPORT_MS) return;
+    last = now;
+    api.reportActivity();
+  };
+  ['pointerdown', 'keydown', 'wheel'].forEach((type) =>
+    document.addEventListener(type, report, { capture: true, passive: true }),
+  );
+}
+
+// Main dropped the key (idle, sleep, screen lock, ...): forget the data and ask again
+async function onLocked() {
+  if (!state.unlocked) return;
+  state.unlocked = false;
+  state.db = null;
+  state.searchIndex = null;
+  state.projections = [];
+  state.selection.clear();
+  // Whatever was waiting on an open modal carries on as if it had been canceled
+  el('#modal')._dismiss?.();
+  el('#modal').classList.add('hidden');
+  document.body.classList.add('locked');
+  while (!state.unlocked) await unlockFlow();
+  document.body.classList.remove('locked');
+  await loadAndRender();
+}
+
 async function maybeEnableEncryptionFlow() {
   const yes = confirm(
     'Encrypt your data at rest? (Recommended)\nYou can enable this later in code, but doing it now is best.',
   );
   if (!yes) return;
-  const { value: pass, canceled } = await promptModalWithReturn({
+  const prompt = promptModalWithReturn({
     title: 'Enable Encryption',
     bodyHTML: `
-      <p>Create a passcode (min 4 chars). Don’t forget it — you’ll need it to unlock and restore backups.</p>
+      <p>Create a passcode (min ${MIN_PASSCODE_LENGTH} chars). Don’t forget it — you’ll need it to unlock.</p>
       <input id="pass" type="password" placeholder="Passcode" autofocus />
+      ${STRENGTH_METER_HTML}
       <label><input id="bio" type="checkbox" /> Use Touch ID on this Mac</label>
+      <div class="form-group">
+        <label for="kdf-profile">Key derivation</label>
+        <select id="kdf-profile">
+          <option value="argon2id" selected>Argon2id (recommended)</option>
+          <option value="scrypt">scrypt</option>
+        </select>
+      </div>
     `,
     okText: 'Enable',
   });
+  bindStrengthMeter(el('#pass'));
+  const { value: pass, canceled } = await prompt;
   if (canceled) return;
   const useBio = el('#bio')?.checked || false;
+  const kdfProfile = el('#kdf-profile').value;
   const p = String(pass || '').trim();
-  if (p.length < 4) {
-    alert('Passcode must be at least 4 characters.');
+  if (p.length < MIN_PASSCODE_LENGTH) {
+    alert(`Passcode must be at least ${MIN_PASSCODE_LENGTH} characters.`);
     return maybeEnableEncryptionFlow();
   }
-  await api.securityEnable(p, useBio);
+  // Tuning the key derivation to this machine takes a moment
+  const res = await api.securityEnable(p, useBio, kdfProfile);
+  state.security.encryptionEnabled = true;
   state.unlocked = true;
+  if (res?.snapshotsSetAside)
+    alert(
+      `${res.snapshotsSetAside} snapshot(s) could not be opened and were moved to snapshots/unreadable.`,
+    );
+  if (res?.recoveryKey) {
+    state.security.hasRecoveryKey = true;
+    await showRecoveryKey(res.recoveryKey);
+  }
 }
 
 async function handleForgotPasscode() {
-  const choice = await promptModalWithReturn({
-    title: 'Forgot Passcode?',
-    bodyHTML: `
-      <p>You can create a new empty environment or restore from a backup file.</p>
-    `,
-    okText: 'Create New',
-    cancelText: 'Restore Backup',
-  });
-
-  if (choice.canceled) {
-    // Restore from backup
-    const res = await api.importBackup();
-    if (res?.ok) {
+  const choice = await choiceModal('Forgot Passcode?', [
+    { id: 'recover', label: 'Use my recovery key', hidden: !state.security.hasRecoveryKey },
+    { id: 'restore', label: 'Restore a backup' },
+    { id: 'reset', label: 'Erase everything and start over' },
+  ]);
+
+  if (choice === 'recover') {
+    if (await recoverFlow()) return;
+  } else if (choice === 'restore') {
+    // Replaces the locked vault; the reload then offers to set a new passcode
+    if (await onRestoreBackup({ replaceLockedVault: true })) {
       location.reload();
       return;
     }
-  } else {
+  } else if (choice === 'reset') {
     // Create new environment
     const sure = confirm('This will erase your existing data. Continue?');
     if (sure) {
@@ -156,6 +240,52 @@ async function handleForgotPasscode() {
   return unlockFlow();
 }
 
+// Unlock with the recovery key and replace the lost passcode; true once unlocked
+async function recoverFlow() {
+  const slots = (await api.listKeySlots()).filter((s) => s.type === 'passcode');
+  let slotId = slots[0]?.id ?? null;
+  if (slots.length > 1) {
+    slotId = await choiceModal(
+      'Whose passcode was lost?',
+      slots.map((s) => ({ id: s.id, label: s.label })),
+    );
+    if (!slotId) return false;
+  }
+  const prompt = promptModal({
+    title: 'Unlock with Recovery Key',
+    bodyHTML: `
+      <p>Enter your recovery key and choose a new passcode.</p>
+      <input id="recovery-key" type="text" placeholder="XXXX-XXXX-XXXX-…" autofocus />
+      <input id="new-pass" type="password" placeholder="New passcode (min ${MIN_PASSCODE_LENGTH} chars)" />
+      ${STRENGTH_METER_HTML}
+    `,
+    okText: 'Unlock',
+  });
+  bindStrengthMeter(el('#new-pass'));
+  if (!(await prompt)) return false;
+  const newPass = el('#new-pass').value;
+  if (newPass.trim().length < MIN_PASSCODE_LENGTH) {
+    alert(`Passcode must be at least ${MIN_PASSCODE_LENGTH} characters.`);
+    return recoverFlow();
+  }
+  const res = await api.recoverWithKey(el('#recovery-key').value, newPass, slotId);
+  if (res?.ok) {
+    state.unlocked = true;
+    return true;
+  }
+  if (res?.code === 'WIPED') {
+    alert('Too many failed attempts. Local data was erased as configured.');
+    location.reload();
+    return true;
+  }
+  alert(
+    res?.code === 'BAD_RECOVERY_KEY'
+      ? 'That recovery key does not match this vault.'
+      : unlockFailureMessage(res || {}),
+  );
+  return false;
+}
+
 /* ---------- Modal helpers ---------- */
 function promptModal({ title, bodyHTML, okText = 'OK', cancelText = 'Cancel' }) {
   return new Promise((resolve) => {
@@ -171,8 +301,10 @@ function promptModal({ title, bodyHTML, okText = 'OK', cancelText = 'Cancel' })
 
     const finish = (val) => {
       modal.classList.add('hidden');
+      modal._dismiss = null;
       resolve(val);
     };
+    modal._dismiss = () => finish(null);
 
     // Handle Enter key submission
     const handleKeyPress = (e) => {
@@ -238,8 +370,10 @@ function promptModalWithReturn(opts) {
 
     const finish = (value, canceled = false) => {
       modal.classList.add('hidden');
+      modal._dismiss = null;
       resolve({ value, canceled });
     };
+    modal._dismiss = () => finish('', true);
     ok.onclick = () => finish(el('#pass')?.value ?? '');
     cancel.onclick = () => finish('', true);
   });
@@ -258,52 +392,39 @@ function bindNav() {
     });
   });
 
-  el('#add-project-btn').addEventListener('click', async () => {
-    const name = await promptModal({
-      title: 'New Project',
-      bodyHTML: `
-        <div class="form-group">
-          <label for="project-name">Project Name</label>
-          <input id="project-name" type="text" placeholder="Enter project name" autofocus />
-        </div>
-      `,
-      okText: 'Create',
-    });
-    
-    if (!name) return; // user cancelled
-    
-    const trimmed = name.trim();
-    if (!trimmed) {
-      alert('Project name cannot be empty');
-      return;
-    }
-    
-    try {
-      const created = await api.addProject(trimmed);
-      await loadAndRender();
-      if (created?.id) {
-        state.view = { type: 'project', projectId: created.id };
-        renderAll();
-      }
-    } catch (err) {
-      console.error('addProject failed:', err);
-      alert(`Failed to add project: ${err?.message || err}`);
-    }
-  });
+  el('#add-project-btn').addEventListener('click', () => onAddProject());
 
-  el('#export-btn').addEventListener('click', async () => {
-    const res = await api.exportBackup();
-    if (res?.ok) alert(`Backup saved to:\n${res.filePath}`);
+  el('#include-subprojects').addEventListener('change', (e) => {
+    state.includeSubprojects = e.target.checked;
+    renderAll();
   });
 
+  el('#add-view-btn').addEventListener('click', onAddSmartView);
+
+  el('#export-btn').addEventListener('click', onExportBackup);
+
   el('#import-btn').addEventListener('click', async () => {
-    const res = await api.importBackup();
-    if (res?.ok) {
+    if (await onRestoreBackup()) {
       await loadAndRender();
-      alert('Backup restored.');
+      showToast('Backup restored');
     }
   });
 
+  el('#import-other-btn').addEventListener('click', onImportFromApp);
+  el('#export-tasks-btn').addEventListener('click', async () => {
+    const choice = await choiceModal('Export', [
+      { id: 'file', label: 'Export tasks to a file…' },
+      { id: 'feed', label: 'Calendar feed…' },
+    ]);
+    if (choice === 'file') onExportTasks();
+    else if (choice === 'feed') onCalendarFeedSettings();
+  });
+
+  el('#snapshots-btn').addEventListener('click', onRestoreSnapshot);
+
+  el('#passcode-btn').classList.toggle('hidden', !state.security.encryptionEnabled);
+  el('#passcode-btn').addEventListener('click', onSecurityMenu);
+
   el('#view-completed-btn').addEventListener('click', () => {
     state.showCompleted = !state.showCompleted;
     el('#toggle-completed').checked = state.showCompleted;
@@ -312,6 +433,40 @@ function bindNav() {
   
 }
 
+async function onAddProject(parentId = null) {
+  const name = await promptModal({
+    title: parentId ? `New sub-project in ${projectPath(parentId)}` : 'New Project',
+    bodyHTML: `
+      <div class="form-group">
+        <label for="project-name">Project Name</label>
+        <input id="project-name" type="text" placeholder="Enter project name" autofocus />
+      </div>
+    `,
+    okText: 'Create',
+  });
+
+  if (!name) return; // user cancelled
+
+  const trimmed = name.trim();
+  if (!trimmed) {
+    alert('Project name cannot be empty');
+    return;
+  }
+
+  try {
+    const created = await api.addProject(trimmed, parentId);
+    if (parentId) state.collapsedProjects.delete(parentId);
+    await loadAndRender();
+    if (created?.id) {
+      state.view = { type: 'project', projectId: created.id };
+      renderAll();
+    }
+  } catch (err) {
+    console.error('addProject failed:', err);
+    alert(`Failed to add project: ${err?.message || err}`);
+  }
+}
+
 function bindTitlebarButtons() {
   const closeBtn = document.querySelector('.tb-close');
   const minBtn = document.querySelector('.tb-min');
@@ -362,6 +517,7 @@ function bindInputs() {
     if (addBtn) {
       addBtn.disabled = !e.target.value.trim();
     }
+    renderQuickAddPreview(el('#new-title-preview'), e.target.value);
   });
 }
 
@@ -372,6 +528,13 @@ function bindInputs() {
 /* ---------- Data ---------- */
 async function loadAndRender() {
   state.db = await api.loadDB();
+  state.searchIndex = null;
+  // Forget selected tasks that no longer exist (deleted, restored over, ...)
+  const ids = new Set((state.db?.tasks || []).map((t) => t.id));
+  state.selection.forEach((id) => ids.has(id) || state.selection.delete(id));
+  // Upcoming instances of recurring tasks, for the Week view
+  const today = startOfDay(new Date());
+  state.projections = await api.getOccurrences(dateToYMD(today), dateToYMD(addDays(today, 6)));
   renderAll();
 }
 
@@ -380,6 +543,7 @@ function renderAll() {
   renderProjects();
   renderHeaderTitle();
   renderTasks();
+  renderBulkBar();
   syncCompletedToggle();
 }
 
@@ -392,10 +556,31 @@ function syncCompletedToggle() {
 function renderProjects() {
   const ul = el('#project-list');
   ul.innerHTML = '';
-  const projects = [...(state.db?.projects || [])];
-  
-  projects.forEach((p) => {
+  // Flat list of rows in tree order; folded subtrees are simply not rendered
+  projectTree({ skipCollapsed: true }).forEach(({ project: p, depth, hasChildren }) => {
     const li = document.createElement('li');
+    li.dataset.projectId = p.id;
+    li.dataset.parentId = projectParentId(p) || '';
+    li.style.setProperty('--depth', depth);
+    li.draggable = true;
+    li.addEventListener('dragstart', (e) => startDrag(e, 'project', p.id, li));
+    li.addEventListener('dragend', cancelDrag);
+
+    const caret = document.createElement('button');
+    caret.className = 'tree-toggle';
+    if (hasChildren) {
+      const collapsed = state.collapsedProjects.has(p.id);
+      caret.textContent = collapsed ? '▸' : '▾';
+      caret.title = collapsed ? 'Expand' : 'Collapse';
+      caret.addEventListener('click', (e) => {
+        e.stopPropagation();
+        if (collapsed) state.collapsedProjects.delete(p.id);
+        else state.collapsedProjects.add(p.id);
+        renderProjects();
+      });
+    } else {
+      caret.disabled = true;
+    }
 
     const btn = document.createElement('button');
     btn.className = 'project-item';
@@ -416,16 +601,19 @@ function renderProjects() {
       e.stopPropagation();
       const choice = await projectMenu(p.id === 'inbox');
       if (choice === 'rename') {
-        const name = await promptModal({
+        const namePromise = promptModal({
           title: 'Rename Project',
           bodyHTML: `
             <div class="form-group">
               <label for="project-name">New Name</label>
-              <input id="project-name" type="text" value="${p.name}" autofocus />
+              <input id="project-name" type="text" autofocus />
             </div>
           `,
           okText: 'Rename',
         });
+        // Names can come from imports and backups, so they never go through innerHTML
+        el('#project-name').value = p.name;
+        const name = await namePromise;
         if (name && name.trim()) {
           const trimmed = name.trim();
           if (trimmed === p.name) return; // No change
@@ -436,14 +624,814 @@ function renderProjects() {
           await api.renameProject(p.id, trimmed);
           await loadAndRender();
         }
+      } else if (choice === 'subproject') {
+        await onAddProject(p.id);
+      } else if (choice === 'move') {
+        await onMoveProject(p);
       } else if (choice === 'delete') {
         if (p.id === 'inbox') return; // This should never happen now, but safety check
-        const ok = confirm(`Delete "${p.name}"? Tasks will move to Inbox.`);
-        if (ok) {
-          await api.deleteProject(p.id);
-          await loadAndRender();
-        }
+        await onDeleteProject(p, hasChildren);
+      }
+    });
+
+    li.appendChild(caret);
+    li.appendChild(btn);
+    li.appendChild(kebab);
+    ul.appendChild(li);
+  });
+
+  renderSmartViews();
+}
+
+async function onMoveProject(p) {
+  const blocked = projectSubtreeIds(p.id);
+  const current = projectParentId(p);
+  const choices = [
+    { id: '', label: 'Top level', hidden: current === null },
+    ...projectTree()
+      .filter(({ project: x }) => x.id !== 'inbox' && !blocked.has(x.id) && x.id !== current)
+      .map(({ project: x }) => ({ id: x.id, label: projectPath(x.id) })),
+  ];
+  const choice = await choiceModal(`Move "${p.name}" to…`, choices);
+  if (choice === null) return;
+  try {
+    await api.moveProject(p.id, choice || null);
+    if (choice) state.collapsedProjects.delete(choice);
+    await loadAndRender();
+  } catch (err) {
+    console.error('moveProject failed:', err);
+    alert(`Failed to move project: ${err?.message || err}`);
+  }
+}
+
+async function onDeleteProject(p, hasChildren) {
+  let children = 'rehome';
+  if (hasChildren) {
+    const n = projectSubtreeIds(p.id).size - 1;
+    const parent = projectParentId(p);
+    children = await choiceModal(`Delete "${p.name}"? Its tasks will move to Inbox.`, [
+      {
+        id: 'rehome',
+        label: `Keep sub-projects (move them to ${parent ? projectPath(parent) : 'the top level'})`,
+      },
+      { id: 'delete', label: `Delete ${n} sub-project${n === 1 ? '' : 's'} too` },
+    ]);
+    if (!children) return;
+  } else if (!confirm(`Delete "${p.name}"? Tasks will move to Inbox.`)) {
+    return;
+  }
+  try {
+    await api.deleteProject(p.id, children);
+  } catch (err) {
+    console.error('deleteProject failed:', err);
+    alert(`Failed to delete project: ${err?.message || err}`);
+    return;
+  }
+  // Tasks of every deleted project now live in Inbox, so follow them there
+  const dropped = children === 'delete' ? projectSubtreeIds(p.id) : new Set([p.id]);
+  if (state.view.type === 'project' && dropped.has(state.view.projectId))
+    state.view = { type: 'project', projectId: 'inbox' };
+  await loadAndRender();
+  showToast(`Deleted "${p.name}"`, { undo: true });
+}
+
+/* ---------- Passcode ---------- */
+const MIN_PASSCODE_LENGTH = 8; // main enforces the same minimum
+const COMMON_PASSCODES = [
+  'password',
+  'passcode',
+  'qwerty',
+  'letmein',
+  'iloveyou',
+  'welcome',
+  'admin',
+  '123456',
+  'abc123',
+  '111111',
+];
+const STRENGTH_LABELS = ['Weak', 'Fair', 'Good', 'Strong', 'Very strong'];
+const STRENGTH_METER_HTML = `
+  <div id="pass-strength" class="strength">
+    <div class="strength-bar"><span></span></div>
+    <span class="strength-label"></span>
+  </div>`;
+
+// Rough brute-force estimate from length and character classes: 0 (weak) … 4
+function passcodeStrength(pass) {
+  const p = String(pass || '');
+  if (p.length < MIN_PASSCODE_LENGTH) return { score: 0, label: 'Too short' };
+  const lower = p.toLowerCase();
+  if (COMMON_PASSCODES.some((c) => lower.includes(c))) return { score: 0, label: 'Too common' };
+  let pool = 0;
+  if (/[a-z]/.test(p)) pool += 26;
+  if (/[A-Z]/.test(p)) pool += 26;
+  if (/\d/.test(p)) pool += 10;
+  if (/[^a-zA-Z0-9]/.test(p)) pool += 33;
+  let bits = p.length * Math.log2(pool);
+  if (new Set(p).size < p.length / 2) bits /= 2; // aaaa1111-style repetition
+  const score = bits < 35 ? 0 : bits < 50 ? 1 : bits < 65 ? 2 : bits < 80 ? 3 : 4;
+  return { score, label: STRENGTH_LABELS[score] };
+}
+
+function bindStrengthMeter(input) {
+  const meter = el('#pass-strength');
+  const update = () => {
+    const { score, label } = passcodeStrength(input.value);
+    meter.dataset.score = input.value ? score : '';
+    meter.querySelector('.strength-label').textContent = input.value ? label : '';
+  };
+  input.addEventListener('input', update);
+  update();
+}
+
+async function onSecurityMenu() {
+  const wipeAfter = state.security.wipeAfterFailedUnlocks || 0;
+  const choice = await choiceModal('Security', [
+    { id: 'lock', label: 'Lock now' },
+    { id: 'passcode', label: 'Change passcode' },
+    { id: 'passcodes', label: 'Passcodes for others…' },
+    {
+      id: 'recovery',
+      label: state.security.hasRecoveryKey ? 'Replace recovery key…' : 'Create recovery key…',
+    },
+    { id: 'autolock', label: 'Auto-lock…' },
+    {
+      id: 'wipe',
+      label: wipeAfter
+        ? `Erase data after ${wipeAfter} wrong passcodes…`
+        : 'Erase data after wrong passcodes: off…',
+    },
+  ]);
+  if (choice === 'lock') {
+    await api.securityLock();
+    await onLocked();
+  } else if (choice === 'passcode') await onChangePasscode();
+  else if (choice === 'passcodes') await onManagePasscodes();
+  else if (choice === 'recovery') await onCreateRecoveryKey();
+  else if (choice === 'autolock') await onAutoLockSettings();
+  else if (choice === 'wipe') await onSetWipeAfter();
+}
+
+// Shown once; only a wrapped copy of the data key is stored
+async function showRecoveryKey(recoveryKey) {
+  const ok = await promptModal({
+    title: 'Your Recovery Key',
+    bodyHTML: `
+      <p>If you forget your passcode, this key unlocks your tasks and lets you set a new one.
+      Print it or write it down and keep it somewhere safe — it will not be shown again.</p>
+      <pre class="recovery-key">${recoveryKey}</pre>
+    `,
+    okText: 'I’ve saved it',
+    cancelText: 'Print',
+  });
+  if (ok) return;
+  const area = el('#print-area');
+  area.replaceChildren();
+  const heading = document.createElement('h1');
+  heading.textContent = 'Private Todo recovery key';
+  const key = document.createElement('pre');
+  key.textContent = recoveryKey;
+  area.append(heading, key);
+  window.print();
+  area.replaceChildren();
+  return showRecoveryKey(recoveryKey);
+}
+
+async function onCreateRecoveryKey() {
+  if (
+    state.security.hasRecoveryKey &&
+    !confirm('Create a new recovery key? The current one will stop working.')
+  )
+    return;
+  const res = await api.createRecoveryKey();
+  state.security.hasRecoveryKey = true;
+  await showRecoveryKey(res.recoveryKey);
+}
+
+// Each person sharing the vault gets their own passcode (a separate key slot)
+async function onManagePasscodes() {
+  const slots = (await api.listKeySlots()).filter((s) => s.type === 'passcode');
+  const choice = await choiceModal('Passcodes', [
+    { id: 'add', label: 'Add a passcode…' },
+    ...slots.map((s) => ({ id: s.id, label: `Remove “${s.label}”`, hidden: slots.length < 2 })),
+  ]);
+  if (choice === 'add') return onAddPasscodeSlot();
+  const slot = slots.find((s) => s.id === choice);
+  if (!slot) return;
+  if (!confirm(`Remove the passcode “${slot.label}”? It will no longer unlock this vault.`)) return;
+  await api.removeKeySlot(slot.id);
+  showToast(`Removed passcode “${slot.label}”`);
+}
+
+async function onAddPasscodeSlot() {
+  const prompt = promptModal({
+    title: 'Add Passcode',
+    bodyHTML: `
+      <p>Anyone with this passcode can unlock the vault. Your own passcode keeps working.</p>
+      <input id="slot-label" type="text" placeholder="Whose passcode (e.g. Sam)" autofocus />
+      <input id="new-pass" type="password" placeholder="Passcode (min ${MIN_PASSCODE_LENGTH} chars)" />
+      ${STRENGTH_METER_HTML}
+    `,
+    okText: 'Add',
+  });
+  bindStrengthMeter(el('#new-pass'));
+  if (!(await prompt)) return;
+  const label = el('#slot-label').value.trim();
+  const pass = el('#new-pass').value;
+  if (!label) return;
+  if (pass.trim().length < MIN_PASSCODE_LENGTH) {
+    alert(`Passcode must be at least ${MIN_PASSCODE_LENGTH} characters.`);
+    return onAddPasscodeSlot();
+  }
+  await api.addPasscodeSlot(label, pass);
+  showToast(`Added passcode “${label}”`);
+}
+
+async function onAutoLockSettings() {
+  const a = state.security.autoLock;
+  const check = (id, on, label) =>
+    `<label class="inline-check"><input id="${id}" type="checkbox" ${on ? 'checked' : ''} /> ${label}</label>`;
+  const ok = await promptModal({
+    title: 'Auto-lock',
+    bodyHTML: `
+      <div class="form-group">
+        <label for="autolock-idle">Lock after this many minutes without input (0 = never)</label>
+        <input id="autolock-idle" type="number" min="0" max="1440" value="${a.idleMinutes}" />
+      </div>
+      ${check('autolock-suspend', a.onSuspend, 'When the computer sleeps')}
+      ${check('autolock-screen', a.onLockScreen, 'When the screen locks')}
+      ${check('autolock-minimize', a.onMinimize, 'When the window is minimized')}
+      ${check('autolock-blur', a.onBlur, 'When switching to another app')}
+    `,
+    okText: 'Save',
+  });
+  if (!ok) return;
+  const res = await api.setAutoLock({
+    idleMinutes: Number(el('#autolock-idle').value) || 0,
+    onSuspend: el('#autolock-suspend').checked,
+    onLockScreen: el('#autolock-screen').checked,
+    onMinimize: el('#autolock-minimize').checked,
+    onBlur: el('#autolock-blur').checked,
+  });
+  state.security.autoLock = res.autoLock;
+  showToast('Auto-lock settings saved');
+}
+
+async function onSetWipeAfter() {
+  const { value, canceled } = await promptModalWithReturn({
+    title: 'Erase After Wrong Passcodes',
+    bodyHTML: `
+      <p>Erase all local data (tasks, snapshots, settings) after this many wrong passcodes in a row.
+      Use 0 to turn this off. Keep a backup if you enable it.</p>
+      <input id="pass" type="number" min="0" max="100"
+        value="${state.security.wipeAfterFailedUnlocks || 0}" autofocus />
+    `,
+    okText: 'Save',
+  });
+  if (canceled) return;
+  await api.setWipeAfter(Number(value) || 0);
+  state.security = await api.securityGetConfig();
+  const n = state.security.wipeAfterFailedUnlocks;
+  showToast(n ? `Data will be erased after ${n} wrong passcodes` : 'Erasing after wrong passcodes is off');
+}
+
+async function onChangePasscode() {
+  const prompt = promptModal({
+    title: 'Change Passcode',
+    bodyHTML: `
+      <p>Your tasks, archive and snapshots are re-encrypted with the new passcode.</p>
+      <input id="old-pass" type="password" placeholder="Current passcode" autofocus />
+      <input id="new-pass" type="password" placeholder="New passcode (min ${MIN_PASSCODE_LENGTH} chars)" />
+      ${STRENGTH_METER_HTML}
+      <input id="confirm-pass" type="password" placeholder="Repeat new passcode" />
+    `,
+    okText: 'Change',
+  });
+  bindStrengthMeter(el('#new-pass'));
+  const ok = await prompt;
+  if (!ok) return;
+  const oldPass = el('#old-pass').value;
+  const newPass = el('#new-pass').value;
+  if (newPass.trim().length < MIN_PASSCODE_LENGTH) {
+    alert(`Passcode must be at least ${MIN_PASSCODE_LENGTH} characters.`);
+    return onChangePasscode();
+  }
+  if (newPass !== el('#confirm-pass').value) {
+    alert('The new passcodes do not match.');
+    return onChangePasscode();
+  }
+  const res = await api.changePasscode(oldPass, newPass);
+  if (res?.code === 'WIPED') {
+    alert('Too many wrong passcodes. Local data was erased as configured.');
+    location.reload();
+    return;
+  }
+  if (res?.ok === false) {
+    alert(unlockFailureMessage(res));
+    return;
+  }
+  showToast('Passcode changed');
+}
+
+/* ---------- Backup / Restore ---------- */
+async function onExportBackup() {
+  const prompt = promptModal({
+    title: 'Export Backup',
+    bodyHTML: `
+      <p>The backup is encrypted with its own passphrase, so it can be restored on any computer, even after you change your passcode. Without the passphrase nobody can open it — including you.</p>
+      <input id="backup-pass" type="password" placeholder="Backup passphrase (min ${MIN_PASSCODE_LENGTH} chars)" autofocus />
+      ${STRENGTH_METER_HTML}
+      <input id="backup-confirm" type="password" placeholder="Repeat passphrase" />
+    `,
+    okText: 'Export',
+  });
+  bindStrengthMeter(el('#backup-pass'));
+  if (!(await prompt)) return;
+  const pass = el('#backup-pass').value;
+  if (pass.length < MIN_PASSCODE_LENGTH) {
+    alert(`The passphrase must be at least ${MIN_PASSCODE_LENGTH} characters.`);
+    return onExportBackup();
+  }
+  if (pass !== el('#backup-confirm').value) {
+    alert('The passphrases do not match.');
+    return onExportBackup();
+  }
+  // Tuning the key derivation takes a moment
+  const res = await api.exportBackup(pass);
+  if (res?.ok) alert(`Backup of ${res.meta.taskCount} tasks saved to:\n${res.filePath}`);
+}
+
+// Resolves true once a backup was restored or merged. `replaceLockedVault` is the
+// forgot-passcode path: the locked data on this computer is erased and replaced.
+async function onRestoreBackup({ replaceLockedVault = false } = {}) {
+  const file = await api.openBackup();
+  if (!file?.ok) return false;
+  const mode = replaceLockedVault
+    ? 'replace'
+    : await choiceModal('Restore Backup', [
+        { id: 'merge', label: 'Merge into my current tasks' },
+        { id: 'replace', label: 'Replace everything with the backup' },
+      ]);
+  if (!mode) return false;
+
+  const about = file.meta
+    ? `Backup from ${formatDateTime(file.createdAt)} · ${file.meta.openCount} open / ` +
+      `${file.meta.taskCount} tasks · ${file.meta.projectCount} projects.`
+    : 'Backup from an older version of Private Todo.';
+  const effect = {
+    merge: 'Tasks and projects are matched up and the newer copy of each is kept. You can review the result before anything changes.',
+    replace: replaceLockedVault
+      ? 'The locked tasks on this computer are erased and replaced by the backup. You can set a new passcode afterwards.'
+      : 'Your current tasks are replaced by the backup. A snapshot is taken first, so History can bring them back.',
+  }[mode];
+  const placeholder =
+    file.version === 1 ? 'Passcode in use when the backup was made' : 'Backup passphrase';
+  if (
+    replaceLockedVault &&
+    !confirm(
+      'The locked tasks on this computer will be erased. The restored tasks are stored ' +
+        'without encryption until you set a new passcode. Continue?',
+    )
+  )
+    return false;
+
+  for (;;) {
+    const prompt = promptModal({
+      title: 'Restore Backup',
+      bodyHTML: `
+        <p id="backup-about"></p>
+        <p>${effect}</p>
+        ${file.needsPassphrase ? `<input id="backup-pass" type="password" placeholder="${placeholder}" autofocus />` : ''}
+      `,
+      okText: mode === 'merge' ? 'Preview' : 'Restore',
+    });
+    // `meta` is read from the file before the MAC is checked, so it is shown as text only
+    el('#backup-about').textContent = about;
+    if (!(await prompt)) return false;
+    const pass = el('#backup-pass')?.value ?? null;
+    const res =
+      mode === 'merge'
+        ? await api.previewBackupMerge(pass)
+        : await api.importBackup(pass, replaceLockedVault);
+    if (res?.code === 'BAD_PASSPHRASE') {
+      alert('That passphrase does not open this backup, or the file has been modified.');
+      continue;
+    }
+    if (!res?.ok) return false;
+    return mode === 'merge' ? confirmBackupMerge(res.preview) : true;
+  }
+}
+
+async function confirmBackupMerge(preview) {
+  const confirmed = promptModal({
+    title: 'Merge Backup',
+    bodyHTML: '<div id="merge-preview" class="snapshot-diff"></div>',
+    okText: 'Merge',
+  });
+  renderMergePreview(el('#merge-preview'), preview);
+  if (!(await confirmed)) return false;
+  const choices = {};
+  document.querySelectorAll('#merge-preview select[data-key]').forEach((sel) => {
+    choices[sel.dataset.key] = sel.value;
+  });
+  await api.mergeBackup(choices);
+  return true;
+}
+
+function renderMergePreview(target, preview) {
+  const { added, changed, conflicts, deleted } = preview;
+  // One row per item with a choice between the local copy ('local') and the backup's
+  const choices = (items, describe, labels) => {
+    items.forEach((item) => {
+      const row = document.createElement('div');
+      row.className = 'merge-choice';
+      const text = document.createElement('span');
+      text.textContent = describe(item);
+      const sel = document.createElement('select');
+      sel.dataset.key = item.key;
+      ['local', 'backup'].forEach((value) => {
+        const opt = document.createElement('option');
+        opt.value = value;
+        opt.textContent = labels[value];
+        opt.selected = item.choice === value;
+        sel.appendChild(opt);
+      });
+      row.append(text, sel);
+      target.appendChild(row);
+    });
+  };
+  const kindLabel = (item) => (item.kind === 'project' ? 'Project: ' : '');
+
+  if (!added.count && !changed.count && !conflicts.length && !deleted.length) {
+    target.textContent = 'Everything in this backup is already here.';
+    return;
+  }
+  appendListSection(target, `Added from the backup (${added.count})`, added.titles, added.count);
+  appendListSection(
+    target,
+    `Updated from the backup (newer there) (${changed.count})`,
+    changed.items.map((c) => `${c.title} — ${c.fields.join(', ')}`),
+    changed.count,
+  );
+  // Conflicts and deletions are listed as choices below their heading
+  appendListSection(target, `Conflicts (${conflicts.length})`, []);
+  choices(
+    conflicts,
+    (c) =>
+      `${kindLabel(c)}${c.title} — ${c.fields.join(', ')} (here ${
+        c.localUpdatedAt ? formatDateTime(c.localUpdatedAt) : 'undated'
+      }, backup ${c.backupUpdatedAt ? formatDateTime(c.backupUpdatedAt) : 'undated'})`,
+    { local: 'Keep mine', backup: 'Use backup' },
+  );
+  appendListSection(target, `Deleted in the backup (${deleted.length})`, []);
+  choices(deleted, (d) => `${kindLabel(d)}${d.title}`, { local: 'Keep', backup: 'Delete' });
+  const note = document.createElement('p');
+  note.className = 'form-hint';
+  note.textContent =
+    'Anything added here since the backup is kept. A snapshot is taken first, and Undo reverts the merge.';
+  target.appendChild(note);
+}
+
+/* ---------- Import from other apps ---------- */
+const IMPORT_FORMATS = [
+  { id: 'todotxt', label: 'todo.txt' },
+  { id: 'taskpaper', label: 'TaskPaper' },
+  { id: 'todoist-csv', label: 'Todoist (CSV)' },
+  { id: 'todoist-json', label: 'Todoist (JSON)' },
+  { id: 'things', label: 'Things (JSON)' },
+];
+
+async function onImportFromApp() {
+  const format = await choiceModal('Import tasks from', IMPORT_FORMATS);
+  if (!format) return;
+  const report = await api.previewImport(format);
+  if (!report?.ok) return;
+  const confirmed = promptModal({
+    title: `Import ${report.fileName}?`,
+    bodyHTML: '<div id="import-report" class="snapshot-diff"></div>',
+    okText: `Import ${report.taskCount} tasks`,
+  });
+  renderImportReport(el('#import-report'), report);
+  if (!(await confirmed)) return;
+  const res = await api.commitImport();
+  if (res?.ok) {
+    await loadAndRender();
+    showToast(`Imported ${res.taskCount} tasks`, { undo: true });
+  }
+}
+
+// Nothing is saved yet: the report comes from a dry run against a copy
+function renderImportReport(target, report) {
+  if (!report.taskCount) {
+    target.textContent = `No tasks were found in this ${report.format} file.`;
+  } else {
+    appendListSection(target, `Tasks (${report.taskCount})`, report.titles, report.taskCount);
+  }
+  const m = report.mapped;
+  appendListSection(target, 'Mapped', [
+    `${m.priority} with a priority, ${m.dueDate} with a due date, ${m.tags} with tags`,
+    `${m.checklist} with checklist steps, ${m.completed} already completed`,
+  ]);
+  appendListSection(
+    target,
+    `New projects (${report.projectsCreated.length})`,
+    report.projectsCreated,
+  );
+  const dropped = report.dropped.slice(0, 50);
+  appendListSection(
+    target,
+    `Not imported (${report.dropped.length})`,
+    dropped.map((d) => `${d.where}: ${d.what}`),
+    report.dropped.length,
+  );
+}
+
+/* ---------- Plain exports ---------- */
+async function onExportTasks() {
+  const prompt = promptModal({
+    title: 'Export Tasks',
+    bodyHTML: `
+      <p><strong>The exported file is not encrypted.</strong> Anyone who can open it can read these tasks, so keep it somewhere safe or delete it when you're done.</p>
+      <div class="form-group">
+        <label for="export-format">Format</label>
+        <select id="export-format">
+          <option value="markdown">Markdown checklist</option>
+          <option value="csv">CSV (spreadsheets)</option>
+          <option value="todotxt">todo.txt</option>
+          <option value="ics">iCalendar (.ics, tasks with a due date)</option>
+        </select>
+      </div>
+      <div id="export-ics-options" class="form-group hidden">
+        <label for="export-component">Add to the calendar as</label>
+        <select id="export-component">
+          <option value="event">Events</option>
+          <option value="todo">To-dos</option>
+        </select>
+      </div>
+      <div class="form-group">
+        <label for="export-project">Project</label>
+        <select id="export-project"></select>
+      </div>
+      <div class="form-group">
+        <label>Due between (optional)</label>
+        <div class="date-range">
+          <input id="export-from" type="date" title="From" />
+          <input id="export-to" type="date" title="To" />
+        </div>
+      </div>
+      <div class="form-group">
+        <label class="inline-check">
+          <input id="export-archive" type="checkbox" />
+          Include archived tasks
+        </label>
+      </div>
+    `,
+    okText: 'Export',
+  });
+  const projectSel = el('#export-project');
+  projectSel.innerHTML = '<option value="">All projects</option>';
+  projectTree().forEach(({ project: p }) => {
+    const opt = document.createElement('option');
+    opt.value = p.id;
+    opt.textContent = projectPath(p.id);
+    projectSel.appendChild(opt);
+  });
+  el('#export-format').addEventListener('change', (e) => {
+    el('#export-ics-options').classList.toggle('hidden', e.target.value !== 'ics');
+  });
+  if (!(await prompt)) return;
+
+  const filter = {
+    projectId: projectSel.value || null,
+    from: el('#export-from').value || null,
+    to: el('#export-to').value || null,
+    includeArchive: el('#export-archive').checked,
+  };
+  const format = el('#export-format').value;
+  const res = await api.exportTasks(format, filter, el('#export-component').value);
+  if (res?.code === 'EMPTY') {
+    alert('No tasks match these filters.');
+    return onExportTasks();
+  }
+  if (res?.ok) alert(`Exported ${res.taskCount} tasks to:\n${res.filePath}`);
+}
+
+/* ---------- Calendar feed ---------- */
+async function onCalendarFeedSettings() {
+  const feed = await api.getCalendarFeed();
+  const prompt = promptModal({
+    title: 'Calendar Feed',
+    bodyHTML: `
+      <p>Shows tasks with a due date in your calendar app. <strong>The feed is not encrypted</strong> and stays readable while the app is locked, so by default it only shows "Busy".</p>
+      <div class="form-group">
+        <label class="inline-check">
+          <input id="feed-enabled" type="checkbox" ${feed.enabled ? 'checked' : ''} />
+          Publish a calendar feed
+        </label>
+      </div>
+      <div class="form-group">
+        <label for="feed-mode">Publish as</label>
+        <select id="feed-mode">
+          <option value="file" ${feed.mode === 'file' ? 'selected' : ''}>An .ics file kept up to date</option>
+          <option value="http" ${feed.mode === 'http' ? 'selected' : ''}>A subscription URL on this computer only</option>
+        </select>
+      </div>
+      <div id="feed-file-options" class="form-group">
+        <p id="feed-file" class="form-hint"></p>
+        <label class="inline-check">
+          <input id="feed-choose-file" type="checkbox" />
+          Choose another file
+        </label>
+      </div>
+      <div id="feed-http-options" class="form-group">
+        <label for="feed-port">Port</label>
+        <input id="feed-port" type="number" min="1024" max="65535" value="${feed.port}" />
+        <p id="feed-url" class="form-hint"></p>
+        <label class="inline-check">
+          <input id="feed-new-token" type="checkbox" />
+          Make a new URL (the old one stops working)
+        </label>
+      </div>
+      <div class="form-group">
+        <label for="feed-redact">Show</label>
+        <select id="feed-redact">
+          <option value="busy" ${feed.redact === 'busy' ? 'selected' : ''}>"Busy" only</option>
+          <option value="titles" ${feed.redact === 'titles' ? 'selected' : ''}>Task titles and projects</option>
+        </select>
+      </div>
+      <div class="form-group">
+        <label for="feed-projects">Projects (none selected = all)</label>
+        <select id="feed-projects" multiple size="5"></select>
+      </div>
+      <div class="form-group">
+        <label for="feed-days">Days ahead</label>
+        <input id="feed-days" type="number" min="1" max="365" value="${feed.daysAhead}" />
+      </div>
+      <div class="form-group">
+        <label class="inline-check">
+          <input id="feed-completed" type="checkbox" ${feed.includeCompleted ? 'checked' : ''} />
+          Include completed tasks
+        </label>
+      </div>
+    `,
+    okText: 'Save',
+  });
+  el('#feed-file').textContent = feed.filePath ? `Writing to ${feed.filePath}` : '';
+  el('#feed-url').textContent = feed.url
+    ? `Subscribe to ${feed.url}${feed.error ? ` (not running: ${feed.error})` : ''}`
+    : '';
+  const projectSel = el('#feed-projects');
+  projectTree().forEach(({ project: p }) => {
+    const opt = document.createElement('option');
+    opt.value = p.id;
+    opt.textContent = projectPath(p.id);
+    opt.selected = feed.projectIds.includes(p.id);
+    projectSel.appendChild(opt);
+  });
+  const showModeOptions = () => {
+    const mode = el('#feed-mode').value;
+    el('#feed-file-options').classList.toggle('hidden', mode !== 'file' || !feed.filePath);
+    el('#feed-http-options').classList.toggle('hidden', mode !== 'http');
+  };
+  el('#feed-mode').addEventListener('change', showModeOptions);
+  showModeOptions();
+  if (!(await prompt)) return;
+
+  const enabled = el('#feed-enabled').checked;
+  const mode = el('#feed-mode').value;
+  let filePath;
+  if (enabled && mode === 'file' && (!feed.filePath || el('#feed-choose-file').checked)) {
+    filePath = await api.chooseCalendarFeedFile();
+    if (!filePath) return;
+  }
+  const res = await api.setCalendarFeed({
+    enabled,
+    mode,
+    filePath,
+    port: el('#feed-port').value,
+    newToken: el('#feed-new-token').checked,
+    redact: el('#feed-redact').value,
+    projectIds: [...projectSel.selectedOptions].map((o) => o.value),
+    daysAhead: el('#feed-days').value,
+    includeCompleted: el('#feed-completed').checked,
+  });
+  if (!res?.ok) return;
+  if (res.feed.url) alert(`Add this URL as a calendar subscription:\n${res.feed.url}`);
+  else showToast(res.feed.enabled ? 'Calendar feed updated' : 'Calendar feed turned off');
+}
+
+/* ---------- Snapshots ---------- */
+async function onRestoreSnapshot() {
+  const list = await api.listSnapshots();
+  if (!list.length) {
+    alert('No snapshots yet. One is taken every hour while the app is unlocked and tasks change.');
+    return;
+  }
+  const id = await choiceModal(
+    'Restore from snapshot',
+    list.map((sn) => ({
+      id: sn.id,
+      label:
+        `${formatDateTime(sn.createdAt)} · ${sn.openCount} open / ${sn.taskCount} tasks · ` +
+        `${sn.projectCount} projects`,
+    })),
+  );
+  if (!id) return;
+
+  const diff = await api.diffSnapshot(id);
+  const confirmed = promptModal({
+    title: `Restore snapshot from ${formatDateTime(diff.createdAt)}?`,
+    bodyHTML: '<div id="snapshot-diff" class="snapshot-diff"></div>',
+    okText: 'Restore',
+  });
+  renderSnapshotDiff(el('#snapshot-diff'), diff);
+  if (!(await confirmed)) return;
+
+  await api.restoreSnapshot(id);
+  await loadAndRender();
+  showToast('Snapshot restored', { undo: true });
+}
+
+// Titles are user data, so the preview is built with text nodes only
+function renderSnapshotDiff(target, diff) {
+  const section = (heading, count, lines) =>
+    appendListSection(target, `${heading} (${count})`, lines, count);
+  if (!diff.restored.count && !diff.removed.count && !diff.changed.count) {
+    target.textContent = 'This snapshot matches your current tasks.';
+    return;
+  }
+  section('Brought back', diff.restored.count, diff.restored.titles);
+  section('Removed (added since)', diff.removed.count, diff.removed.titles);
+  section(
+    'Reverted',
+    diff.changed.count,
+    diff.changed.items.map((c) => `${c.title} — ${c.fields.join(', ')}`),
+  );
+  const note = document.createElement('p');
+  note.className = 'form-hint';
+  note.textContent = 'A snapshot of the current state is taken first, and Undo reverts the restore.';
+  target.appendChild(note);
+}
+
+/* ---------- Smart views ---------- */
+function renderSmartViews() {
+  const ul = el('#view-list');
+  ul.innerHTML = '';
+  const views = state.db?.views || [];
+
+  views.forEach((v, i) => {
+    const li = document.createElement('li');
+
+    const btn = document.createElement('button');
+    btn.className = 'project-item view-item';
+    if (state.view.type === 'smart' && state.view.viewId === v.id) btn.className += ' active';
+    btn.title = v.query;
+    btn.addEventListener('click', () => {
+      state.view = { type: 'smart', viewId: v.id };
+      renderAll();
+    });
+
+    const name = document.createElement('span');
+    name.textContent = v.name;
+    const badge = document.createElement('span');
+    badge.className = 'count-badge';
+    badge.textContent = String(smartViewTasks(v).length);
+    btn.append(name, badge);
+
+    const kebab = document.createElement('button');
+    kebab.textContent = '⋯';
+    kebab.title = 'View menu';
+    kebab.addEventListener('click', async (e) => {
+      e.stopPropagation();
+      const choice = await choiceModal('View Action', [
+        { id: 'edit', label: 'Rename / Edit Filter' },
+        { id: 'up', label: 'Move Up', hidden: i === 0 },
+        { id: 'down', label: 'Move Down', hidden: i === views.length - 1 },
+        { id: 'delete', label: 'Delete View' },
+      ]);
+      try {
+        if (choice === 'edit') {
+          const edited = await smartViewModal('Edit View', v);
+          if (!edited) return;
+          await api.updateView(v.id, edited);
+        } else if (choice === 'up' || choice === 'down') {
+          const ids = views.map((x) => x.id);
+          const j = choice === 'up' ? i - 1 : i + 1;
+          [ids[i], ids[j]] = [ids[j], ids[i]];
+          await api.reorderViews(ids);
+        } else if (choice === 'delete') {
+          if (!confirm(`Delete view "${v.name}"? Tasks are not affected.`)) return;
+          await api.deleteView(v.id);
+          if (state.view.type === 'smart' && state.view.viewId === v.id) {
+            state.view = { type: 'today', projectId: null };
+          }
+        } else return;
+      } catch (err) {
+        console.error('Smart view update failed:', err);
+        alert(`Failed to update view: ${err?.message || err}`);
+        return;
       }
+      await loadAndRender();
     });
 
     li.appendChild(btn);
@@ -452,6 +1440,103 @@ function renderProjects() {
   });
 }
 
+// Tasks shown by a smart view. Completed tasks follow the "View completed" toggle
+// unless the query itself says which state it wants (is:done, is:open, ...).
+function smartViewTasks(v) {
+  const explicitState = /(^|\s)-?is:/i.test(v.query);
+  return searchTasks(v.query).tasks.filter(
+    (t) => explicitState || state.showCompleted || !t.completed,
+  );
+}
+
+// Name + query form; resolves to { name, query } or null when cancelled
+async function smartViewModal(title, v = {}) {
+  const modalDone = promptModal({
+    title,
+    bodyHTML: `
+      <div class="form-group">
+        <label for="view-name">Name</label>
+        <input id="view-name" type="text" placeholder="e.g. Urgent work" autofocus />
+      </div>
+      <div class="form-group">
+        <label for="view-query">Filter</label>
+        <input id="view-query" type="text" placeholder='tag:work p:1 due:<=today -is:done' />
+        <p class="form-hint">
+          Uses search syntax: project:Name, tag:x, p:1, due:&lt;2026-11-01, due:none,
+          is:done / is:open / is:overdue, "exact phrase", and - to exclude.
+        </p>
+      </div>
+    `,
+    okText: 'Save',
+  });
+  // Set via .value so names/queries with quotes survive
+  el('#view-name').value = v.name || '';
+  el('#view-query').value = v.query || '';
+  if (!(await modalDone)) return null;
+  const name = el('#view-name')?.value.trim();
+  const query = el('#view-query')?.value.trim();
+  if (!name || !query) {
+    alert('A view needs both a name and a filter.');
+    return null;
+  }
+  return { name, query };
+}
+
+// Pre-fill a new view from whatever the user is looking at right now
+function currentViewQuery() {
+  if (state.searchQuery) return state.searchQuery;
+  if (state.view.type === 'project') {
+    return `project:"${getProjectName(state.view.projectId)}"`;
+  }
+  if (state.view.type === 'today') return `due:<=today is:open`;
+  return '';
+}
+
+async function onAddSmartView() {
+  const values = await smartViewModal('New Smart View', { query: currentViewQuery() });
+  if (!values) return;
+  try {
+    const created = await api.addView(values.name, values.query);
+    await loadAndRender();
+    state.view = { type: 'smart', viewId: created.id };
+    renderAll();
+  } catch (err) {
+    console.error('addView failed:', err);
+    alert(`Failed to save view: ${err?.message || err}`);
+  }
+}
+
+// Generic list-of-actions modal; resolves to the chosen id or null
+function choiceModal(title, choices) {
+  return new Promise((resolve) => {
+    const modal = el('#modal');
+    el('#modal-title').textContent = title;
+    const body = el('#modal-body');
+    body.innerHTML = '<p>Choose an action:</p>';
+    const group = document.createElement('div');
+    group.className = 'form-group choice-list';
+
+    const finish = (choice) => {
+      modal.classList.add('hidden');
+      modal._dismiss = null;
+      resolve(choice);
+    };
+    modal._dismiss = () => finish(null);
+
+    choices
+      .filter((c) => !c.hidden)
+      .forEach((c) => {
+        const b = document.createElement('button');
+        b.textContent = c.label;
+        b.onclick = () => finish(c.id);
+        group.appendChild(b);
+      });
+    body.appendChild(group);
+    modal.classList.remove('hidden');
+    el('#modal-cancel').onclick = () => finish(null);
+  });
+}
+
 function projectMenu(isInbox = false) {
   return new Promise((resolve) => {
     const modal = el('#modal');
@@ -460,6 +1545,8 @@ function projectMenu(isInbox = false) {
       <p>Choose an action:</p>
       <div class="form-group" style="margin-top: 16px;">
         <button id="rename-action" class="modal-actions button" style="width: 100%; margin-bottom: 8px; padding: 12px;">Rename Project</button>
+        <button id="subproject-action" class="modal-actions button" style="width: 100%; margin-bottom: 8px; padding: 12px; ${isInbox ? 'display: none;' : ''}">New Sub-project</button>
+        <button id="move-action" class="modal-actions button" style="width: 100%; margin-bottom: 8px; padding: 12px; ${isInbox ? 'display: none;' : ''}">Move To…</button>
         <button id="delete-action" class="modal-actions button" style="width: 100%; padding: 12px; ${isInbox ? 'display: none;' : ''}">Delete Project</button>
       </div>
     `;
@@ -471,10 +1558,14 @@ function projectMenu(isInbox = false) {
 
     const finish = (choice) => {
       modal.classList.add('hidden');
+      modal._dismiss = null;
       resolve(choice);
     };
+    modal._dismiss = () => finish(null);
 
     renameBtn.onclick = () => finish('rename');
+    el('#subproject-action').onclick = () => finish('subproject');
+    el('#move-action').onclick = () => finish('move');
     deleteBtn.onclick = () => finish('delete');
     cancel.onclick = () => finish(null);
 
@@ -488,12 +1579,10 @@ function projectMenu(isInbox = false) {
 function renderNewTaskProjectSelect() {
   const sel = el('#new-project');
   sel.innerHTML = '';
-  const projects = state.db?.projects || [];
-  
-  projects.forEach((p) => {
+  projectTree().forEach(({ project: p }) => {
     const opt = document.createElement('option');
     opt.value = p.id;
-    opt.textContent = p.name;
+    opt.textContent = projectPath(p.id);
     sel.appendChild(opt);
   });
   if (state.view.type === 'project' && state.view.projectId) sel.value = state.view.projectId;
@@ -512,13 +1601,21 @@ function renderNewTaskProjectSelect() {
 
 function renderHeaderTitle() {
   const h = el('#view-title');
-  
+  const isProject = state.view.type === 'project';
+  const hasChildren =
+    isProject && (state.db?.projects || []).some((p) => p.parentId === state.view.projectId);
+  el('#subprojects-toggle').classList.toggle('hidden', !hasChildren);
+  el('#include-subprojects').checked = state.includeSubprojects;
+
   if (state.view.type === 'today') h.textContent = 'Today';
   else if (state.view.type === 'week') h.textContent = 'Week';
   else if (state.view.type === 'all') h.textContent = 'All tasks';
-  else {
+  else if (state.view.type === 'smart') {
+    const v = (state.db?.views || []).find((x) => x.id === state.view.viewId);
+    h.textContent = v ? v.name : 'View';
+  } else {
     const p = (state.db?.projects || []).find((x) => x.id === state.view.projectId);
-    h.textContent = p ? p.name : 'Project';
+    h.textContent = p ? projectPath(p.id) : 'Project';
   }
 }
 
@@ -532,14 +1629,22 @@ function renderTasks() {
   }
 
   if (state.searchQuery) {
-    const q = state.searchQuery.toLowerCase();
-    const tasks = (state.db?.tasks || []).filter((t) =>
-      t.title.toLowerCase().includes(q)
-    );
+    const { tasks, highlight } = searchTasks(state.searchQuery);
     if (!tasks.length) {
       container.innerHTML = `<div style="padding:16px;color:#8a94a6;">No matching tasks.</div>`;
     } else {
-      sortTasks(tasks).forEach((t) => container.appendChild(renderTaskItem(t)));
+      const sorted = sortTasks(tasks);
+      sorted
+        .slice(0, SEARCH_RENDER_LIMIT)
+        .forEach((t) => container.appendChild(renderTaskItem(t, { highlight })));
+      if (sorted.length > SEARCH_RENDER_LIMIT) {
+        const more = document.createElement('div');
+        more.className = 'search-more';
+        more.textContent =
+          `Showing ${SEARCH_RENDER_LIMIT} of ${sorted.length} matches. ` +
+          'Refine your search to see more.';
+        container.appendChild(more);
+      }
     }
     container.appendChild(taskInputSection);
     return;
@@ -595,6 +1700,14 @@ function renderWeekList(container) {
       sortTasks(tasks).forEach((t) => body.appendChild(renderTaskItem(t)));
     }
 
+    // Then future occurrences of recurring tasks that don't exist yet
+    (state.projections || [])
+      .filter((o) => o.dueDate === ymd)
+      .forEach((o) => {
+        const src = (state.db?.tasks || []).find((t) => t.id === o.taskId);
+        if (src) body.appendChild(renderTaskItem(src, { projectedDate: ymd }));
+      });
+
     // Add task creation input inline (always show)
     const taskInput = document.createElement('div');
     taskInput.className = 'day-task-input';
@@ -610,23 +1723,29 @@ function renderWeekList(container) {
     addBtn.title = 'Add task';
     addBtn.disabled = true; // Start disabled
     
+    const preview = document.createElement('div');
+    preview.className = 'quick-add-preview hidden';
+
     // Handle task creation for this specific day
     const handleAddTask = async () => {
-      const title = input.value.trim();
-      if (!title) return;
+      const parsed = parseQuickAdd(input.value);
+      if (!parsed.title) return;
       
       try {
         const created = await api.addTask({
-          title,
-          dueDate: ymd, // Set due date to this specific day
-          priority: 0,
-          tags: [],
-          projectId: 'inbox'
+          title: parsed.title,
+          dueDate: parsed.dueDate || ymd, // Default to this specific day
+          dueTime: parsed.dueTime,
+          priority: parsed.priority ?? 0,
+          tags: parsed.tags,
+          projectId: parsed.projectId || 'inbox',
+          recurrence: parsed.recurrence,
         });
         
         // Clear input and refresh
         input.value = '';
         addBtn.disabled = true; // Disable button after clearing
+        renderQuickAddPreview(preview, '');
         await loadAndRender();
         
         // No need to change view or re-render since we're already in week view
@@ -639,6 +1758,7 @@ function renderWeekList(container) {
     // Enable/disable button based on input text
     const updateButtonState = () => {
       addBtn.disabled = !input.value.trim();
+      renderQuickAddPreview(preview, input.value);
     };
     
     input.addEventListener('input', updateButtonState);
@@ -653,6 +1773,10 @@ function renderWeekList(container) {
     taskInput.appendChild(input);
     taskInput.appendChild(addBtn);
     body.appendChild(taskInput);
+    body.appendChild(preview);
+
+    // Dropping a task here reorders it and, from another day, reschedules it
+    bindTaskDropZone(body, ymd);
 
     section.appendChild(body);
     list.appendChild(section);
@@ -662,18 +1786,48 @@ function renderWeekList(container) {
 }
 
 /* ---------- Task item ---------- */
-function renderTaskItem(t) {
+// `projectedDate` renders a read-only preview of a future recurring instance;
+// editing it edits the series (the open task that owns the rule).
+function renderTaskItem(t, { projectedDate = null, highlight = null } = {}) {
   const tpl = el('#task-item-template');
   const node = tpl.content.firstElementChild.cloneNode(true);
 
+  node.dataset.taskId = t.id;
+  if (!projectedDate) {
+    node.draggable = true;
+    node.addEventListener('dragstart', (e) => startDrag(e, 'task', t.id, node));
+    node.addEventListener('dragend', cancelDrag);
+    if (state.selection.has(t.id)) node.classList.add('selected');
+    node.addEventListener('click', (e) => onTaskItemClick(e, t.id));
+  }
+
   const cb = node.querySelector('.complete-checkbox');
   cb.checked = !!t.completed;
-  cb.addEventListener('change', async () => {
-    await api.updateTask({ id: t.id, completed: cb.checked });
-    await loadAndRender();
-  });
+  if (projectedDate) {
+    node.classList.add('projected');
+    node.title = `Upcoming occurrence on ${formatYMD(projectedDate)}`;
+    cb.disabled = true;
+  } else {
+    cb.addEventListener('change', async () => {
+      await api.updateTask({ id: t.id, completed: cb.checked });
+      await loadAndRender();
+    });
+  }
 
-  node.querySelector('.task-title').textContent = t.title;
+  const titleEl = node.querySelector('.task-title');
+  if (highlight) {
+    appendHighlighted(titleEl, t.title, highlight);
+    // Show where in the description the match is when the title doesn't explain it
+    const snippet = matchSnippet(t.description, highlight);
+    if (snippet && !highlight.test(t.title)) {
+      const snippetEl = document.createElement('div');
+      snippetEl.className = 'task-snippet';
+      appendHighlighted(snippetEl, snippet, highlight);
+      titleEl.after(snippetEl);
+    }
+  } else {
+    titleEl.textContent = t.title;
+  }
 
   const meta = node.querySelector('.task-meta');
   meta.innerHTML = '';
@@ -692,34 +1846,86 @@ function renderTaskItem(t) {
   }
   // Hide due date chip when tasks are displayed within week view day sections
   if (t.dueDate && state.view.type !== 'week')
-    meta.appendChild(chip(`Due ${formatYMD(t.dueDate)}`));
+    meta.appendChild(chip(`Due ${formatYMD(t.dueDate)}${t.dueTime ? ` ${t.dueTime}` : ''}`));
+  else if (t.dueTime && state.view.type === 'week') meta.appendChild(chip(t.dueTime));
+  if (t.reminders?.length) {
+    const reminderChip = chip('🔔');
+    reminderChip.title = t.reminders.map(describeReminder).join(', ');
+    meta.appendChild(reminderChip);
+  }
   if (t.priority > 0) {
     const priorityChip = chip(`P${t.priority}`);
     priorityChip.className += ` priority-${t.priority}`;
     meta.appendChild(priorityChip);
   }
-  (t.tags || []).forEach((tag) => meta.appendChild(chip(`#${tag}`)));
+  (t.tags || []).forEach((tag) => {
+    const tagChip = chip(`#${tag}`);
+    if (highlight?.test(tag)) tagChip.className += ' match';
+    meta.appendChild(tagChip);
+  });
+  if (t.recurrence) {
+    const repeatChip = chip(`↻ ${describeRecurrence(t.recurrence)}`);
+    repeatChip.className += ' recurrence-chip';
+    meta.appendChild(repeatChip);
+  }
+  if (t.checklist?.length) {
+    const done = t.checklist.filter((i) => i.done).length;
+    const progressChip = chip(`☑ ${done}/${t.checklist.length}`);
+    progressChip.className += ' checklist-chip';
+    if (done === t.checklist.length) progressChip.className += ' complete';
+    if (!projectedDate) {
+      progressChip.title = 'Show checklist';
+      progressChip.addEventListener('click', () => toggleChecklist(t.id));
+    }
+    meta.appendChild(progressChip);
+  }
   if (t.completed && t.dateCompleted)
     meta.appendChild(chip(`Done ${formatDateTime(t.dateCompleted)}`));
 
+  if (!projectedDate && state.expandedChecklists.has(t.id)) {
+    node.querySelector('.task-main').appendChild(renderChecklist(t));
+  }
+
   const editBtn = node.querySelector('.edit-btn');
   const delBtn = node.querySelector('.delete-btn');
+  const checklistBtn = node.querySelector('.checklist-btn');
+  if (projectedDate) {
+    editBtn.textContent = 'Edit series';
+    delBtn.remove();
+    checklistBtn.remove();
+  } else {
+    checklistBtn.textContent = state.expandedChecklists.has(t.id) ? 'Hide checklist' : 'Checklist';
+    checklistBtn.addEventListener('click', () => toggleChecklist(t.id));
+  }
 
   editBtn.addEventListener('click', async () => {
-    const editResult = await promptModal({
+    const editPromise = promptModal({
       title: 'Edit Task',
       bodyHTML: `
         <div class="form-group">
           <label for="edit-title">Title</label>
-          <input id="edit-title" type="text" value="${t.title}" />
+          <input id="edit-title" type="text" />
         </div>
         <div class="form-group">
           <label for="edit-description">Description</label>
-          <textarea id="edit-description">${t.description || ''}</textarea>
+          <textarea id="edit-description"></textarea>
         </div>
         <div class="form-group">
           <label for="edit-due">Due Date</label>
-          <input id="edit-due" type="date" value="${t.dueDate || ''}" />
+          <input id="edit-due" type="date" />
+        </div>
+        <div class="form-group">
+          <label for="edit-due-time">Due Time (optional)</label>
+          <input id="edit-due-time" type="time" />
+        </div>
+        <div class="form-group">
+          <label>Reminders</label>
+          <div class="reminder-picker" id="edit-reminders">
+            ${REMINDER_OPTIONS.map(
+              (m) =>
+                `<label><input type="checkbox" value="${m}" ${t.reminders?.includes(m) ? 'checked' : ''} /> ${describeReminder(m)}</label>`,
+            ).join('')}
+          </div>
         </div>
         <div class="form-group">
           <label for="edit-priority">Priority</label>
@@ -730,30 +1936,54 @@ function renderTaskItem(t) {
             <option value="3" ${t.priority === 3 ? 'selected' : ''} style="color: var(--priority-3); font-weight: 600;">3</option>
           </select>
         </div>
+        ${recurrenceFormHTML(t.recurrence)}
+        <div class="form-group">
+          <label class="inline-check">
+            <input id="edit-auto-complete" type="checkbox" ${t.autoCompleteChecklist ? 'checked' : ''} />
+            Complete task when every checklist step is done
+          </label>
+        </div>
         <div class="form-group">
           <label for="edit-tags">Tags (comma-separated)</label>
-          <input id="edit-tags" type="text" value="${(t.tags || []).join(', ')}" />
+          <input id="edit-tags" type="text" />
         </div>
         <div class="form-group">
           <label for="edit-project">Project</label>
-          <select id="edit-project">
-            ${(state.db?.projects || []).map(p => 
-              `<option value="${p.id}" ${p.id === t.projectId ? 'selected' : ''}>${p.name}</option>`
-            ).join('')}
-          </select>
+          <select id="edit-project"></select>
         </div>
       `,
       okText: 'Save',
     });
+    // Task and project text can come from imports and backups, so it is set as values
+    // and text here rather than written into the markup above
+    el('#edit-title').value = t.title;
+    el('#edit-description').value = t.description || '';
+    el('#edit-due').value = t.dueDate || '';
+    el('#edit-due-time').value = t.dueTime || '';
+    el('#edit-tags').value = (t.tags || []).join(', ');
+    const projectSel = el('#edit-project');
+    projectTree().forEach(({ project: p }) => {
+      const opt = document.createElement('option');
+      opt.value = p.id;
+      opt.textContent = projectPath(p.id);
+      opt.selected = p.id === t.projectId;
+      projectSel.appendChild(opt);
+    });
+    bindRecurrenceForm(t.recurrence);
+    const editResult = await editPromise;
     
     if (!editResult) return; // user cancelled
     
     const newTitle = el('#edit-title')?.value;
     const newDesc = el('#edit-description')?.value;
     const newDue = el('#edit-due')?.value;
+    const newDueTime = el('#edit-due-time')?.value || null;
+    const newReminders = els('#edit-reminders input:checked').map((c) => Number(c.value));
     const newPriority = el('#edit-priority')?.value;
     const newTags = el('#edit-tags')?.value;
     const newProjectId = el('#edit-project')?.value;
+    const newRecurrence = readRecurrenceForm();
+    const newAutoComplete = !!el('#edit-auto-complete')?.checked;
     
     if (!newTitle || !newTitle.trim()) {
       alert('Title is required');
@@ -768,6 +1998,11 @@ function renderTaskItem(t) {
       return;
     }
 
+    if (newReminders.length && !dueTrim) {
+      alert('Reminders need a due date.');
+      return;
+    }
+
     const pr = Number(newPriority);
     if (!Number.isInteger(pr) || pr < 0 || pr > 3) {
       alert('Priority must be an integer between 0 and 3.');
@@ -779,12 +2014,16 @@ function renderTaskItem(t) {
       title: newTitle.trim(),
       description: newDesc || '',
       dueDate: dueTrim ? dueTrim : null,
+      dueTime: dueTrim ? newDueTime : null,
+      reminders: newReminders,
       priority: pr,
       tags: newTags
         .split(',')
         .map((s) => s.trim())
         .filter(Boolean),
       projectId: newProjectId,
+      recurrence: newRecurrence,
+      autoCompleteChecklist: newAutoComplete,
     };
 
     console.log('Updating task with data:', updateData);
@@ -807,15 +2046,487 @@ function renderTaskItem(t) {
     }
   });
 
+  // No confirm: deleting is undoable from the toast or with Ctrl/Cmd+Z
   delBtn.addEventListener('click', async () => {
-    if (!confirm('Delete this task?')) return;
     await api.deleteTask(t.id);
     await loadAndRender();
+    showToast('Task deleted', { undo: true });
   });
 
   return node;
 }
 
+/* ---------- Checklist ---------- */
+function toggleChecklist(taskId) {
+  if (state.expandedChecklists.has(taskId)) state.expandedChecklists.delete(taskId);
+  else state.expandedChecklists.add(taskId);
+  renderTasks();
+}
+
+function renderChecklist(t) {
+  const wrap = document.createElement('div');
+  wrap.className = 'task-checklist';
+  wrap.dataset.checklistFor = t.id;
+
+  (t.checklist || []).forEach((item) => {
+    const row = document.createElement('label');
+    row.className = 'checklist-item';
+    row.dataset.itemId = item.id;
+    row.draggable = true;
+    row.addEventListener('dragstart', (e) => {
+      e.stopPropagation(); // don't also start dragging the task
+      startDrag(e, 'checklist', item.id, row);
+    });
+    row.addEventListener('dragend', cancelDrag);
+    if (item.done) row.classList.add('done');
+
+    const box = document.createElement('input');
+    box.type = 'checkbox';
+    box.checked = !!item.done;
+    box.addEventListener('change', async () => {
+      await api.updateChecklistItem(t.id, item.id, { done: box.checked });
+      await loadAndRender();
+    });
+
+    const text = document.createElement('span');
+    text.textContent = item.title;
+
+    const remove = document.createElement('button');
+    remove.className = 'checklist-remove';
+    remove.textContent = '×';
+    remove.title = 'Remove step';
+    remove.addEventListener('click', async (e) => {
+      e.preventDefault();
+      await api.deleteChecklistItem(t.id, item.id);
+      await loadAndRender();
+    });
+
+    row.append(box, text, remove);
+    wrap.appendChild(row);
+  });
+
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.className = 'checklist-new';
+  input.placeholder = 'Add a step...';
+  input.addEventListener('keypress', async (e) => {
+    if (e.key !== 'Enter' || !input.value.trim()) return;
+    try {
+      await api.addChecklistItem(t.id, input.value.trim());
+    } catch (err) {
+      console.error('addChecklistItem failed', err);
+      alert(`Failed to add step: ${err?.message || err}`);
+      return;
+    }
+    await loadAndRender();
+    // Keep focus so several steps can be typed in a row
+    el(`[data-checklist-for="${t.id}"] .checklist-new`)?.focus();
+  });
+  wrap.appendChild(input);
+
+  wrap.addEventListener('dragover', (e) => {
+    if (drag?.kind !== 'checklist' || drag.node.parentElement !== wrap) return;
+    e.preventDefault();
+    e.stopPropagation();
+    wrap.insertBefore(drag.node, itemAfterPointer(wrap, '.checklist-item', e.clientY) || input);
+  });
+  wrap.addEventListener('drop', async (e) => {
+    if (drag?.kind !== 'checklist') return;
+    e.preventDefault();
+    e.stopPropagation();
+    const ids = [...wrap.querySelectorAll('.checklist-item')].map((n) => n.dataset.itemId);
+    endDrag();
+    await api.reorderChecklist(t.id, ids);
+    await loadAndRender();
+  });
+
+  return wrap;
+}
+
+/* ---------- Multi-select & bulk actions ---------- */
+// Ctrl/Cmd-click toggles a task, Shift-click selects the range from the last pick,
+// a plain click on an empty spot of a task clears the selection.
+function onTaskItemClick(e, taskId) {
+  if (e.target.closest('input, button, select, textarea, details, .task-checklist, .chip'))
+    return;
+  const multi = e.metaKey || e.ctrlKey;
+  if (e.shiftKey && state.selectionAnchor) {
+    const order = els('#task-container .task-item:not(.projected)').map((n) => n.dataset.taskId);
+    const a = order.indexOf(state.selectionAnchor);
+    const b = order.indexOf(taskId);
+    if (a !== -1 && b !== -1) {
+      if (!multi) state.selection.clear();
+      order.slice(Math.min(a, b), Math.max(a, b) + 1).forEach((id) => state.selection.add(id));
+    }
+  } else if (multi) {
+    if (state.selection.has(taskId)) state.selection.delete(taskId);
+    else state.selection.add(taskId);
+    state.selectionAnchor = taskId;
+  } else if (state.selection.size) {
+    state.selection.clear();
+    state.selectionAnchor = null;
+  } else {
+    return;
+  }
+  e.preventDefault();
+  syncSelectionUI();
+}
+
+function clearSelection() {
+  state.selection.clear();
+  state.selectionAnchor = null;
+  syncSelectionUI();
+}
+
+// Cheaper than a full re-render: only the highlight and the action bar change
+function syncSelectionUI() {
+  els('#task-container .task-item[data-task-id]').forEach((n) =>
+    n.classList.toggle('selected', state.selection.has(n.dataset.taskId)),
+  );
+  renderBulkBar();
+}
+
+function renderBulkBar() {
+  const bar = el('#bulk-bar');
+  const n = state.selection.size;
+  bar.classList.toggle('hidden', n === 0);
+  if (!n) return;
+  el('#bulk-count').textContent = `${n} selected`;
+
+  const sel = el('#bulk-project');
+  sel.innerHTML = '<option value="">Move to…</option>';
+  projectTree().forEach(({ project: p }) => {
+    const opt = document.createElement('option');
+    opt.value = p.id;
+    opt.textContent = projectPath(p.id);
+    sel.appendChild(opt);
+  });
+  el('#bulk-priority').value = '';
+  el('#bulk-due').value = '';
+}
+
+async function applyBulk(changes) {
+  const ids = [...state.selection];
+  if (!ids.length) return;
+  try {
+    await api.bulkUpdateTasks(ids, changes);
+  } catch (err) {
+    console.error('bulkUpdateTasks failed:', err);
+    alert(`Bulk update failed: ${err?.message || err}`);
+    await loadAndRender();
+    return;
+  }
+  if (changes.delete) clearSelection();
+  await loadAndRender();
+  if (changes.delete)
+    showToast(`Deleted ${ids.length} task${ids.length === 1 ? '' : 's'}`, { undo: true });
+}
+
+function bindBulkActions() {
+  el('#bulk-complete').addEventListener('click', () => applyBulk({ completed: true }));
+  el('#bulk-delete').addEventListener('click', () => applyBulk({ delete: true }));
+  el('#bulk-project').addEventListener('change', (e) => {
+    if (e.target.value) applyBulk({ projectId: e.target.value });
+  });
+  el('#bulk-priority').addEventListener('change', (e) => {
+    if (e.target.value !== '') applyBulk({ priority: Number(e.target.value) });
+  });
+  el('#bulk-due').addEventListener('change', (e) => {
+    applyBulk({ dueDate: e.target.value || null });
+  });
+  const tagAction = (key) => {
+    const tag = el('#bulk-tag').value.trim().replace(/^#/, '');
+    if (!tag) return;
+    el('#bulk-tag').value = '';
+    applyBulk({ [key]: [tag] });
+  };
+  el('#bulk-tag-add').addEventListener('click', () => tagAction('addTags'));
+  el('#bulk-tag-remove').addEventListener('click', () => tagAction('removeTags'));
+  el('#bulk-clear').addEventListener('click', clearSelection);
+
+  document.addEventListener('keydown', (e) => {
+    const typing = e.target.closest?.('input, textarea, select');
+    if (e.key === 'Escape' && state.selection.size) clearSelection();
+    // Ctrl/Cmd+A selects every task in the current list
+    if (!typing && (e.metaKey || e.ctrlKey) && e.key.toLowerCase() === 'a') {
+      e.preventDefault();
+      els('#task-container .task-item:not(.projected)').forEach((n) =>
+        state.selection.add(n.dataset.taskId),
+      );
+      syncSelectionUI();
+    }
+  });
+}
+
+/* ---------- Undo / redo ---------- */
+const TOAST_MS = 6000;
+let toastTimer = null;
+
+function showToast(message, { undo = false } = {}) {
+  el('#toast-message').textContent = message;
+  el('#toast-undo').classList.toggle('hidden', !undo);
+  el('#toast').classList.remove('hidden');
+  clearTimeout(toastTimer);
+  toastTimer = setTimeout(() => el('#toast').classList.add('hidden'), TOAST_MS);
+}
+
+async function stepHistory(direction) {
+  try {
+    const res = direction === 'redo' ? await api.redo() : await api.undo();
+    if (!res?.ok) {
+      showToast(direction === 'redo' ? 'Nothing to redo' : 'Nothing to undo');
+      return;
+    }
+    await loadAndRender();
+    showToast(`${direction === 'redo' ? 'Redid' : 'Undid'}: ${res.label}`);
+  } catch (err) {
+    console.error(`${direction} failed:`, err);
+    alert(`Failed to ${direction}: ${err?.message || err}`);
+  }
+}
+
+function bindHistory() {
+  el('#toast-undo').addEventListener('click', () => {
+    el('#toast').classList.add('hidden');
+    stepHistory('undo');
+  });
+  document.addEventListener('keydown', (e) => {
+    if (!(e.metaKey || e.ctrlKey) || e.altKey) return;
+    const key = e.key.toLowerCase();
+    if (key !== 'z' && key !== 'y') return;
+    // Text fields keep their native undo; nothing steps while a modal is open
+    if (e.target.closest?.('input, textarea, select')) return;
+    if (!el('#modal').classList.contains('hidden')) return;
+    e.preventDefault();
+    stepHistory(key === 'y' || e.shiftKey ? 'redo' : 'undo');
+  });
+}
+
+/* ---------- Drag and drop ---------- */
+// Only one thing can be dragged at a time; `node` is moved live while hovering
+let drag = null; // { kind: 'task' | 'project' | 'checklist', id, node }
+
+function startDrag(e, kind, id, node) {
+  drag = { kind, id, node };
+  e.dataTransfer.effectAllowed = 'move';
+  e.dataTransfer.setData('text/plain', id);
+  node.classList.add('dragging');
+}
+
+function endDrag() {
+  drag?.node.classList.remove('dragging');
+  drag = null;
+  els('.drop-target').forEach((n) => n.classList.remove('drop-target'));
+}
+
+// Fired on the source after a cancelled drop; put everything back where it was
+function cancelDrag() {
+  if (!drag) return;
+  endDrag();
+  renderAll();
+}
+
+// The sibling the dragged node should be inserted before, from the pointer's Y position
+function itemAfterPointer(zone, selector, y) {
+  return (
+    [...zone.querySelectorAll(`:scope > ${selector}`)]
+      .filter((n) => n !== drag.node)
+      .find((n) => {
+        const r = n.getBoundingClientRect();
+        return y < r.top + r.height / 2;
+      }) || null
+  );
+}
+
+/** Makes `zone` accept dropped tasks. Tasks are kept above projected entries and the
+ * inline add input; `dueDate` (Week view days) reschedules tasks dropped from elsewhere. */
+function bindTaskDropZone(zone, dueDate) {
+  const anchor = () =>
+    zone.querySelector(':scope > .task-item.projected, :scope > .day-task-input');
+  zone.addEventListener('dragover', (e) => {
+    if (drag?.kind !== 'task') return;
+    e.preventDefault();
+    e.stopPropagation();
+    const before = itemAfterPointer(zone, '.task-item:not(.projected)', e.clientY);
+    zone.insertBefore(drag.node, before || anchor());
+  });
+  zone.addEventListener('drop', async (e) => {
+    if (drag?.kind !== 'task') return;
+    e.preventDefault();
+    e.stopPropagation();
+    const taskId = drag.id;
+    const ids = [...zone.querySelectorAll(':scope > .task-item:not(.projected)')].map(
+      (n) => n.dataset.taskId,
+    );
+    endDrag();
+    try {
+      const task = (state.db?.tasks || []).find((t) => t.id === taskId);
+      if (dueDate && task && task.dueDate !== dueDate) {
+        await api.updateTask({ id: taskId, dueDate });
+      }
+      await api.reorderTasks(ids);
+    } catch (err) {
+      console.error('Drop failed:', err);
+      alert(`Failed to move task: ${err?.message || err}`);
+    }
+    await loadAndRender();
+  });
+}
+
+function bindDragAndDrop() {
+  // Plain lists: reorder in place. Search results are ranked, not ordered.
+  const container = el('#task-container');
+  container.addEventListener('dragover', (e) => {
+    if (drag?.kind !== 'task' || state.view.type === 'week' || state.searchQuery) return;
+    e.preventDefault();
+    const before = itemAfterPointer(container, '.task-item', e.clientY);
+    container.insertBefore(drag.node, before || taskInputSection);
+  });
+  container.addEventListener('drop', async (e) => {
+    if (drag?.kind !== 'task' || state.view.type === 'week' || state.searchQuery) return;
+    e.preventDefault();
+    const ids = [...container.querySelectorAll(':scope > .task-item')].map(
+      (n) => n.dataset.taskId,
+    );
+    endDrag();
+    await api.reorderTasks(ids);
+    await loadAndRender();
+  });
+
+  // Sidebar: projects reorder among themselves; a task dropped on a project moves there
+  const ul = el('#project-list');
+  ul.addEventListener('dragover', (e) => {
+    if (drag?.kind === 'project') {
+      e.preventDefault();
+      const before = itemAfterPointer(ul, 'li', e.clientY);
+      ul.insertBefore(drag.node, before);
+    } else if (drag?.kind === 'task') {
+      const li = e.target.closest('li');
+      if (!li) return;
+      e.preventDefault();
+      els('.drop-target').forEach((n) => n !== li && n.classList.remove('drop-target'));
+      li.classList.add('drop-target');
+    }
+  });
+  ul.addEventListener('drop', async (e) => {
+    if (!drag) return;
+    e.preventDefault();
+    const { kind, id } = drag;
+    const li = e.target.closest('li');
+    const ids = [...ul.querySelectorAll(':scope > li')].map((n) => n.dataset.projectId);
+    endDrag();
+    try {
+      if (kind === 'project') await api.reorderProjects(ids);
+      else if (kind === 'task' && li) await api.updateTask({ id, projectId: li.dataset.projectId });
+    } catch (err) {
+      console.error('Drop failed:', err);
+      alert(`Failed to move: ${err?.message || err}`);
+    }
+    await loadAndRender();
+  });
+}
+
+/* ---------- Reminders ---------- */
+// Minutes before the due time (tasks without a time are due at 09:00)
+const REMINDER_OPTIONS = [0, 15, 60, 1440];
+
+function describeReminder(minutes) {
+  if (minutes === 0) return 'At due time';
+  if (minutes % 1440 === 0) return `${minutes / 1440} day${minutes === 1440 ? '' : 's'} before`;
+  if (minutes % 60 === 0) return `${minutes / 60} hour${minutes === 60 ? '' : 's'} before`;
+  return `${minutes} min before`;
+}
+
+/* ---------- Recurrence ---------- */
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+function describeRecurrence(r) {
+  if (!r) return '';
+  const n = r.interval || 1;
+  let text;
+  if (r.freq === 'daily') text = n === 1 ? 'Daily' : `Every ${n} days`;
+  else if (r.freq === 'weekly') {
+    text = n === 1 ? 'Weekly' : `Every ${n} weeks`;
+    if (r.weekdays?.length) text += ` on ${r.weekdays.map((d) => WEEKDAY_NAMES[d]).join(', ')}`;
+  } else if (r.freq === 'monthly') {
+    text = n === 1 ? 'Monthly' : `Every ${n} months`;
+    if (r.monthDay) text += ` on day ${r.monthDay}`;
+  } else if (r.freq === 'yearly') text = n === 1 ? 'Yearly' : `Every ${n} years`;
+  else if (r.freq === 'afterCompletion')
+    text = `${n} day${n === 1 ? '' : 's'} after completion`;
+  else return '';
+  if (r.until) text += ` until ${formatYMD(r.until)}`;
+  return text;
+}
+
+function recurrenceFormHTML(r) {
+  const freq = r?.freq || '';
+  const opt = (value, label) =>
+    `<option value="${value}" ${freq === value ? 'selected' : ''}>${label}</option>`;
+  return `
+    <div class="form-group">
+      <label for="edit-repeat">Repeat</label>
+      <select id="edit-repeat">
+        ${opt('', 'Does not repeat')}
+        ${opt('daily', 'Daily')}
+        ${opt('weekly', 'Weekly')}
+        ${opt('monthly', 'Monthly')}
+        ${opt('yearly', 'Yearly')}
+        ${opt('afterCompletion', 'Days after completion')}
+      </select>
+    </div>
+    <div class="form-group recurrence-options" id="edit-repeat-options">
+      <label for="edit-repeat-interval">Every</label>
+      <input id="edit-repeat-interval" type="number" min="1" max="365" />
+      <div class="weekday-picker" id="edit-repeat-weekdays">
+        ${WEEKDAY_NAMES.map(
+          (name, i) =>
+            `<label><input type="checkbox" value="${i}" ${r?.weekdays?.includes(i) ? 'checked' : ''} /> ${name}</label>`,
+        ).join('')}
+      </div>
+      <div id="edit-repeat-monthday-group">
+        <label for="edit-repeat-monthday">Day of month</label>
+        <input id="edit-repeat-monthday" type="number" min="1" max="31" placeholder="Same as due date" />
+      </div>
+      <label for="edit-repeat-until">Until (optional)</label>
+      <input id="edit-repeat-until" type="date" />
+    </div>
+  `;
+}
+
+// Fills in the rule's values and shows only the inputs that apply to the selected frequency
+function bindRecurrenceForm(r) {
+  const sel = el('#edit-repeat');
+  if (!sel) return;
+  el('#edit-repeat-interval').value = r?.interval || 1;
+  el('#edit-repeat-monthday').value = r?.monthDay || '';
+  el('#edit-repeat-until').value = r?.until || '';
+  const sync = () => {
+    const freq = sel.value;
+    el('#edit-repeat-options').style.display = freq ? '' : 'none';
+    el('#edit-repeat-weekdays').style.display = freq === 'weekly' ? '' : 'none';
+    el('#edit-repeat-monthday-group').style.display = freq === 'monthly' ? '' : 'none';
+  };
+  sel.addEventListener('change', sync);
+  sync();
+}
+
+function readRecurrenceForm() {
+  const freq = el('#edit-repeat')?.value;
+  if (!freq) return null;
+  const rule = { freq, interval: Number(el('#edit-repeat-interval')?.value) || 1 };
+  if (freq === 'weekly') {
+    rule.weekdays = els('#edit-repeat-weekdays input:checked').map((c) => Number(c.value));
+  }
+  if (freq === 'monthly') {
+    const day = Number(el('#edit-repeat-monthday')?.value);
+    if (day) rule.monthDay = day;
+  }
+  const until = el('#edit-repeat-until')?.value;
+  if (until) rule.until = until;
+  return rule;
+}
+
 function chip(text) {
   const span = document.createElement('span');
   span.className = 'chip';
@@ -823,6 +2534,232 @@ function chip(text) {
   return span;
 }
 
+// Heading plus a list of `lines` for the preview modals, with "…and N more" when `total`
+// counts more items than were listed. Lines are often user data, so they are set as text.
+function appendListSection(target, heading, lines, total = lines.length) {
+  const h = document.createElement('h4');
+  h.textContent = heading;
+  target.appendChild(h);
+  if (!total) return;
+  const ul = document.createElement('ul');
+  lines.forEach((text) => {
+    const li = document.createElement('li');
+    li.textContent = text;
+    ul.appendChild(li);
+  });
+  if (total > lines.length) {
+    const li = document.createElement('li');
+    li.className = 'form-hint';
+    li.textContent = `…and ${total - lines.length} more`;
+    ul.appendChild(li);
+  }
+  target.appendChild(ul);
+}
+
+/* ---------- Search ---------- */
+/* Query language for the #search box. Space-separated clauses are ANDed:
+ *   word            a word in the title, description, tags, project or checklist starts with "word"
+ *   "exact phrase"  the phrase appears verbatim
+ *   tag:work        has tag "work"                 project:Household / project:"Side Project"
+ *   p:1             priority (also p:>0, priority:2)
+ *   due:<2026-11-01 due date comparison (<, <=, >, >=, = or none); dates accept quick-add words
+ *                   such as today, tomorrow, fri
+ *   is:done         also is:open, is:overdue, is:recurring
+ * Prefix any clause with "-" to exclude matches, e.g. -tag:someday.
+ */
+const SEARCH_RENDER_LIMIT = 200;
+const SEARCH_FIELDS = new Set(['tag', 'p', 'priority', 'due', 'is', 'project']);
+
+function tokenizeText(text) {
+  return String(text || '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+}
+
+// Inverted index over the merged current + archive task list
+function buildSearchIndex(tasks) {
+  const postings = new Map();
+  const haystacks = [];
+  const projectNames = new Map((state.db?.projects || []).map((p) => [p.id, p.name]));
+  tasks.forEach((t, i) => {
+    const text = [
+      t.title,
+      t.description,
+      (t.tags || []).join(' '),
+      projectNames.get(t.projectId) || '',
+      (t.checklist || []).map((c) => c.title).join(' '),
+    ].join('\n');
+    haystacks.push(text.toLowerCase());
+    new Set(tokenizeText(text)).forEach((tok) => {
+      if (!postings.has(tok)) postings.set(tok, []);
+      postings.get(tok).push(i);
+    });
+  });
+  return { tasks, postings, keys: [...postings.keys()].sort(), haystacks };
+}
+
+function getSearchIndex() {
+  if (!state.searchIndex) state.searchIndex = buildSearchIndex(state.db?.tasks || []);
+  return state.searchIndex;
+}
+
+// Task positions having any indexed word that starts with `prefix`
+function prefixMatches(idx, prefix) {
+  let lo = 0;
+  let hi = idx.keys.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (idx.keys[mid] < prefix) lo = mid + 1;
+    else hi = mid;
+  }
+  const out = new Set();
+  for (let k = lo; k < idx.keys.length && idx.keys[k].startsWith(prefix); k++) {
+    idx.postings.get(idx.keys[k]).forEach((i) => out.add(i));
+  }
+  return out;
+}
+
+function parseSearchQuery(q) {
+  const clauses = [];
+  const re = /(-)?(?:(\w+):)?(?:"([^"]*)"?|(\S+))/g;
+  for (const m of String(q).matchAll(re)) {
+    const negate = !!m[1];
+    const key = m[2]?.toLowerCase();
+    const value = (m[3] ?? m[4] ?? '').trim();
+    if (key && SEARCH_FIELDS.has(key)) clauses.push({ kind: 'field', key, value, negate });
+    else if (m[3] !== undefined) {
+      // Quoted text, possibly after an unknown "key:" that we treat as plain text
+      const phrase = key ? `${key}:${value}` : value;
+      if (phrase) clauses.push({ kind: 'phrase', value: phrase.toLowerCase(), negate });
+    } else {
+      const raw = key ? `${m[2]}:${value}` : value;
+      tokenizeText(raw).forEach((word) => clauses.push({ kind: 'word', value: word, negate }));
+    }
+  }
+  return clauses;
+}
+
+function resolveSearchDate(v) {
+  if (/^\d{4}-\d{2}-\d{2}$/.test(v)) return v;
+  return parseQuickAdd(v).dueDate;
+}
+
+// Builds a predicate for a field clause, or null when the clause is incomplete
+function fieldPredicate({ key, value }) {
+  const v = value.toLowerCase();
+  const today = dateToYMD(new Date());
+  if (key === 'tag') return (t) => (t.tags || []).some((tag) => tag.toLowerCase() === v);
+  if (key === 'project') {
+    const ids = new Set(
+      (state.db?.projects || []).filter((p) => p.name.toLowerCase() === v).map((p) => p.id),
+    );
+    if (!ids.size) {
+      // No exact name: fall back to projects whose name contains the text
+      (state.db?.projects || [])
+        .filter((p) => p.name.toLowerCase().includes(v))
+        .forEach((p) => ids.add(p.id));
+    }
+    // Like the project view, a parent matches its sub-projects' tasks too
+    [...ids].forEach((id) => projectSubtreeIds(id).forEach((x) => ids.add(x)));
+    return (t) => ids.has(t.projectId || 'inbox');
+  }
+  if (key === 'p' || key === 'priority') {
+    const m = v.match(/^(<=|>=|<|>|=)?([0-3])$/);
+    if (!m) return null;
+    return (t) => compare(t.priority || 0, m[1] || '=', Number(m[2]));
+  }
+  if (key === 'due') {
+    if (v === 'none') return (t) => !t.dueDate;
+    const m = v.match(/^(<=|>=|<|>|=)?(.+)$/);
+    const date = m && resolveSearchDate(m[2]);
+    if (!date) return null;
+    return (t) => !!t.dueDate && compare(t.dueDate, m[1] || '=', date);
+  }
+  if (key === 'is') {
+    if (v === 'done' || v === 'completed') return (t) => !!t.completed;
+    if (v === 'open' || v === 'todo') return (t) => !t.completed;
+    if (v === 'overdue') return (t) => !t.completed && !!t.dueDate && t.dueDate < today;
+    if (v === 'recurring') return (t) => !!t.recurrence;
+    return null;
+  }
+  return null;
+}
+
+function compare(a, op, b) {
+  if (op === '<') return a < b;
+  if (op === '<=') return a <= b;
+  if (op === '>') return a > b;
+  if (op === '>=') return a >= b;
+  return a === b;
+}
+
+/** Returns matching tasks plus a case-insensitive RegExp of the text terms to highlight. */
+function searchTasks(q) {
+  const idx = getSearchIndex();
+  const clauses = parseSearchQuery(q);
+
+  // Narrow with the index first, smallest posting set first
+  let candidates = null;
+  const positive = clauses
+    .filter((c) => !c.negate && (c.kind === 'word' || c.kind === 'phrase'))
+    .flatMap((c) => (c.kind === 'word' ? [c.value] : tokenizeText(c.value)))
+    .map((word) => prefixMatches(idx, word))
+    .sort((a, b) => a.size - b.size);
+  positive.forEach((set) => {
+    candidates = candidates ? new Set([...candidates].filter((i) => set.has(i))) : set;
+  });
+  let positions = candidates ? [...candidates] : idx.tasks.map((_, i) => i);
+
+  clauses.forEach((c) => {
+    let test;
+    if (c.kind === 'word') {
+      const set = prefixMatches(idx, c.value);
+      test = (i) => set.has(i);
+    } else if (c.kind === 'phrase') {
+      test = (i) => idx.haystacks[i].includes(c.value);
+    } else {
+      const pred = fieldPredicate(c);
+      if (!pred) return; // ignore clauses still being typed, e.g. "due:"
+      test = (i) => pred(idx.tasks[i]);
+    }
+    positions = positions.filter((i) => test(i) !== c.negate);
+  });
+
+  const terms = clauses
+    .filter((c) => !c.negate && (c.kind !== 'field' || c.key === 'tag'))
+    .map((c) => c.value)
+    .filter(Boolean)
+    .sort((a, b) => b.length - a.length)
+    .map((v) => v.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  const highlight = terms.length ? new RegExp(terms.join('|'), 'i') : null;
+  return { tasks: positions.map((i) => idx.tasks[i]), highlight };
+}
+
+function appendHighlighted(target, text, re) {
+  const global = new RegExp(re.source, 'gi');
+  let pos = 0;
+  for (const m of String(text).matchAll(global)) {
+    if (!m[0]) break;
+    target.append(text.slice(pos, m.index));
+    const mark = document.createElement('mark');
+    mark.className = 'search-hit';
+    mark.textContent = m[0];
+    target.append(mark);
+    pos = m.index + m[0].length;
+  }
+  target.append(text.slice(pos));
+}
+
+function matchSnippet(text, re, radius = 40) {
+  if (!text) return null;
+  const m = re.exec(text);
+  if (!m) return null;
+  const start = Math.max(0, m.index - radius);
+  const end = Math.min(text.length, m.index + m[0].length + radius);
+  return `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+}
+
 /* ---------- Filtering ---------- */
 function getFilteredTasks() {
   const all = state.db?.tasks || [];
@@ -832,10 +2769,17 @@ function getFilteredTasks() {
     return filtered;
   }
   if (state.view.type === 'project') {
-    const filtered = all.filter((t) => t.projectId === state.view.projectId);
+    const ids = state.includeSubprojects
+      ? projectSubtreeIds(state.view.projectId)
+      : new Set([state.view.projectId]);
+    const filtered = all.filter((t) => ids.has(t.projectId));
     const result = sortTasks(filtered.filter((t) => state.showCompleted || !t.completed));
     return result;
   }
+  if (state.view.type === 'smart') {
+    const v = (state.db?.views || []).find((x) => x.id === state.view.viewId);
+    return v ? sortTasks(smartViewTasks(v)) : [];
+  }
   if (state.view.type === 'today') {
     const ymd = dateToYMD(new Date());
     const filtered = all.filter((t) => {
@@ -850,23 +2794,253 @@ function getFilteredTasks() {
   return result;
 }
 
+/* ---------- Quick-add parser ---------- */
+/* Recognises inline syntax in the new-task inputs, e.g.
+ *   "Pay rent tomorrow p1 #finance +Household every month"
+ * Dates: today, tomorrow, mon / next fri, in 3 days, next week, nov 1, 2026-11-01
+ * Times: at 5pm, 17:30 · Priority: p1–p3 · Tags: #tag · Project: +Name (existing only)
+ * Repeat: every day / 2 weeks / month / year, every mon and thu, every weekday,
+ *         every! 3 days (counted from completion)
+ * Only the first date, time, priority, project and repeat rule are used; every tag is.
+ */
+const WEEKDAY_RE = '(sun|mon|tues?|wed|thu(?:rs?)?|fri|sat)(?:day|nesday|urday)?';
+const MONTH_RE = '(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\\.?';
+const WEEKDAY_INDEX = { sun: 0, mon: 1, tue: 2, wed: 3, thu: 4, fri: 5, sat: 6 };
+const MONTH_INDEX = [
+  'jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec',
+];
+const RECURRENCE_UNITS = { day: 'daily', week: 'weekly', month: 'monthly', year: 'yearly' };
+
+const weekdayIndex = (name) => WEEKDAY_INDEX[name.slice(0, 3).toLowerCase()];
+
+const QUICK_ADD_RULES = [
+  {
+    type: 'recurrence',
+    re: /\bevery(!)?\s+(?:(\d+)\s+)?(day|week|month|year)s?\b/i,
+    resolve: (m) => {
+      const n = Math.max(1, Number(m[2]) || 1);
+      const unit = m[3].toLowerCase();
+      // "every!" counts from when the task is completed rather than its due date
+      if (m[1] && (unit === 'day' || unit === 'week'))
+        return { freq: 'afterCompletion', interval: unit === 'week' ? n * 7 : n };
+      return { freq: RECURRENCE_UNITS[unit], interval: n };
+    },
+  },
+  {
+    type: 'recurrence',
+    re: /\bevery\s+weekday\b/i,
+    resolve: () => ({ freq: 'weekly', interval: 1, weekdays: [1, 2, 3, 4, 5] }),
+  },
+  {
+    type: 'recurrence',
+    re: new RegExp(`\\bevery\\s+(${WEEKDAY_RE}(?:\\s*(?:,|and|&)\\s*${WEEKDAY_RE})*)\\b`, 'i'),
+    resolve: (m) => {
+      const days = [...m[1].matchAll(new RegExp(WEEKDAY_RE, 'gi'))].map((d) => weekdayIndex(d[1]));
+      return { freq: 'weekly', interval: 1, weekdays: [...new Set(days)].sort((a, b) => a - b) };
+    },
+  },
+  {
+    type: 'date',
+    re: /\b(today|tonight)\b/i,
+    resolve: (m, now) => dateToYMD(now),
+  },
+  {
+    type: 'date',
+    re: /\b(tomorrow|tmrw?)\b/i,
+    resolve: (m, now) => dateToYMD(addDays(now, 1)),
+  },
+  {
+    type: 'date',
+    re: /\bin\s+(\d+)\s+(day|week|month)s?\b/i,
+    resolve: (m, now) => {
+      const n = Number(m[1]);
+      const unit = m[2].toLowerCase();
+      if (unit === 'month') return dateToYMD(addMonths(now, n));
+      return dateToYMD(addDays(now, unit === 'week' ? n * 7 : n));
+    },
+  },
+  {
+    type: 'date',
+    re: /\bnext\s+(week|month)\b/i,
+    resolve: (m, now) =>
+      dateToYMD(m[1].toLowerCase() === 'week' ? addDays(now, 7) : addMonths(now, 1)),
+  },
+  {
+    type: 'date',
+    re: new RegExp(`\\b(?:(?:next|on)\\s+)?${WEEKDAY_RE}\\b`, 'i'),
+    resolve: (m, now) => {
+      // Always the upcoming one: "fri" on a Friday means a week from today
+      const diff = (weekdayIndex(m[1]) - now.getDay() + 7) % 7 || 7;
+      return dateToYMD(addDays(now, diff));
+    },
+  },
+  {
+    type: 'date',
+    re: /\b(\d{4})-(\d{2})-(\d{2})\b/,
+    resolve: (m) => calendarDate(Number(m[1]), Number(m[2]) - 1, Number(m[3])),
+  },
+  {
+    type: 'date',
+    re: new RegExp(`\\b(?:on\\s+)?${MONTH_RE}\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b`, 'i'),
+    resolve: (m, now) =>
+      nextCalendarDate(now, MONTH_INDEX.indexOf(m[1].toLowerCase()), Number(m[2])),
+  },
+  {
+    type: 'date',
+    re: new RegExp(`\\b(?:on\\s+)?(\\d{1,2})(?:st|nd|rd|th)?\\s+${MONTH_RE}(?=\\s|$)`, 'i'),
+    resolve: (m, now) =>
+      nextCalendarDate(now, MONTH_INDEX.indexOf(m[2].toLowerCase()), Number(m[1])),
+  },
+  {
+    type: 'time',
+    re: /\bat\s+(\d{1,2})(?::([0-5]\d))?\s*(am|pm)?\b/i,
+    resolve: (m) => toHM(m[1], m[2], m[3]),
+  },
+  {
+    type: 'time',
+    re: /\b(\d{1,2})(?::([0-5]\d))?\s*(am|pm)\b/i,
+    resolve: (m) => toHM(m[1], m[2], m[3]),
+  },
+  {
+    type: 'time',
+    re: /\b([01]?\d|2[0-3]):([0-5]\d)\b/,
+    resolve: (m) => toHM(m[1], m[2]),
+  },
+  {
+    type: 'priority',
+    re: /(?<![\w#+])p([1-3])\b/i,
+    resolve: (m) => Number(m[1]),
+  },
+  {
+    type: 'project',
+    re: /(?<!\S)\+([\w-]+)/,
+    // "+Side_Project" also matches a project named "Side Project"
+    resolve: (m) => projectIdByName(m[1]) || projectIdByName(m[1].replace(/[-_]/g, ' ')),
+  },
+  {
+    type: 'tag',
+    re: /(?<!\S)#([\w-]+)/,
+    resolve: (m) => m[1],
+  },
+];
+
+function parseQuickAdd(text, now = new Date()) {
+  const src = String(text || '');
+  const tokens = [];
+  const overlaps = (start, end) => tokens.some((t) => start < t.end && end > t.start);
+
+  QUICK_ADD_RULES.forEach((rule) => {
+    const multiple = rule.type === 'tag';
+    if (!multiple && tokens.some((t) => t.type === rule.type)) return;
+    for (const m of src.matchAll(new RegExp(rule.re.source, `${rule.re.flags}g`))) {
+      const start = m.index;
+      const end = start + m[0].length;
+      if (overlaps(start, end)) continue;
+      const value = rule.resolve(m, startOfDay(now));
+      if (value === null || value === undefined) continue;
+      tokens.push({ type: rule.type, start, end, text: m[0], value });
+      if (!multiple) break;
+    }
+  });
+  tokens.sort((a, b) => a.start - b.start);
+
+  const valueOf = (type) => tokens.find((t) => t.type === type)?.value ?? null;
+  const result = {
+    title: '',
+    dueDate: valueOf('date'),
+    dueTime: valueOf('time'),
+    priority: valueOf('priority'),
+    projectId: valueOf('project'),
+    recurrence: valueOf('recurrence'),
+    tags: [...new Set(tokens.filter((t) => t.type === 'tag').map((t) => t.value))],
+    tokens,
+  };
+  // A repeating task without an explicit date starts on its first matching day
+  if (result.recurrence && !result.dueDate) {
+    const days = result.recurrence.weekdays || [];
+    let d = startOfDay(now);
+    for (let i = 0; days.length && !days.includes(d.getDay()) && i < 7; i++) d = addDays(d, 1);
+    result.dueDate = dateToYMD(d);
+  }
+
+  let title = '';
+  let pos = 0;
+  tokens.forEach((t) => {
+    title += `${src.slice(pos, t.start)} `;
+    pos = t.end;
+  });
+  result.title = (title + src.slice(pos)).replace(/\s+/g, ' ').trim();
+  return result;
+}
+
+function describeQuickAddToken(tok) {
+  if (tok.type === 'date') return `Due ${formatYMD(tok.value)}`;
+  if (tok.type === 'time') return `At ${tok.value}`;
+  if (tok.type === 'priority') return `Priority ${tok.value}`;
+  if (tok.type === 'project') return `Project ${getProjectName(tok.value)}`;
+  if (tok.type === 'tag') return `Tag #${tok.value}`;
+  if (tok.type === 'recurrence') return `Repeats ${describeRecurrence(tok.value).toLowerCase()}`;
+  return tok.text;
+}
+
+// Echoes the input with recognised tokens highlighted, plus what they resolved to
+function renderQuickAddPreview(target, text) {
+  if (!target) return;
+  target.innerHTML = '';
+  const parsed = parseQuickAdd(text);
+  if (!parsed.tokens.length) {
+    target.classList.add('hidden');
+    return;
+  }
+  target.classList.remove('hidden');
+
+  const line = document.createElement('div');
+  line.className = 'qa-text';
+  let pos = 0;
+  parsed.tokens.forEach((tok) => {
+    if (tok.start > pos) line.append(text.slice(pos, tok.start));
+    const mark = document.createElement('mark');
+    mark.className = `qa-token qa-${tok.type}`;
+    mark.textContent = tok.text;
+    mark.title = describeQuickAddToken(tok);
+    line.append(mark);
+    pos = tok.end;
+  });
+  line.append(text.slice(pos));
+
+  const summary = document.createElement('div');
+  summary.className = 'qa-summary';
+  parsed.tokens.forEach((tok) => {
+    const c = chip(describeQuickAddToken(tok));
+    c.className += ` qa-${tok.type}`;
+    summary.appendChild(c);
+  });
+
+  target.append(line, summary);
+}
+
 /* ---------- Add Task ---------- */
 async function onAddTask() {
-  const title = el('#new-title').value.trim();
+  const parsed = parseQuickAdd(el('#new-title').value);
+  const title = parsed.title;
   if (!title) {
     alert('Title is required');
     return;
   }
   
-  // Simple task creation with defaults
-  const dueDate = state.view.type === 'today' ? dateToYMD(new Date()) : null;
-  const priority = 0;
-  const tags = [];
-  const projectId = state.view.type === 'project' ? state.view.projectId : 'inbox';
+  // Inline syntax wins; otherwise fall back to the current view's defaults
+  const dueDate =
+    parsed.dueDate || (state.view.type === 'today' ? dateToYMD(new Date()) : null);
+  const dueTime = parsed.dueTime;
+  const priority = parsed.priority ?? 0;
+  const tags = parsed.tags;
+  const projectId =
+    parsed.projectId || (state.view.type === 'project' ? state.view.projectId : 'inbox');
+  const recurrence = parsed.recurrence;
 
   let created;
   try {
-    created = await api.addTask({ title, dueDate, priority, tags, projectId });
+    created = await api.addTask({ title, dueDate, dueTime, priority, tags, projectId, recurrence });
   } catch (e) {
     console.error('addTask failed', e);
     alert('Failed to add task. See console for details.');
@@ -876,6 +3050,7 @@ async function onAddTask() {
   // Clear input and disable button
   el('#new-title').value = '';
   el('#add-task-btn').disabled = true;
+  renderQuickAddPreview(el('#new-title-preview'), '');
   
   await loadAndRender();
 }
@@ -886,6 +3061,31 @@ function addDays(d, n) {
   c.setDate(c.getDate() + n);
   return c;
 }
+function addMonths(d, n) {
+  const day = d.getDate();
+  const last = new Date(d.getFullYear(), d.getMonth() + n + 1, 0).getDate();
+  return new Date(d.getFullYear(), d.getMonth() + n, Math.min(day, last));
+}
+// YYYY-MM-DD for a real calendar date, or null for e.g. Feb 30
+function calendarDate(y, m, day) {
+  const d = new Date(y, m, day);
+  return d.getMonth() === ((m % 12) + 12) % 12 && d.getDate() === day ? dateToYMD(d) : null;
+}
+// Next occurrence of month/day on or after `now` (rolls into next year)
+function nextCalendarDate(now, m, day) {
+  if (m < 0) return null;
+  const thisYear = calendarDate(now.getFullYear(), m, day);
+  if (thisYear && thisYear >= dateToYMD(now)) return thisYear;
+  return calendarDate(now.getFullYear() + 1, m, day);
+}
+function toHM(h, min = '0', ampm = '') {
+  let hour = Number(h);
+  const suffix = (ampm || '').toLowerCase();
+  if (suffix === 'pm' && hour < 12) hour += 12;
+  if (suffix === 'am' && hour === 12) hour = 0;
+  if (hour > 23 || (suffix && Number(h) > 12)) return null;
+  return `${String(hour).padStart(2, '0')}:${String(Number(min || 0)).padStart(2, '0')}`;
+}
 function startOfDay(d) {
   const c = new Date(d);
   c.setHours(0, 0, 0, 0);
@@ -900,7 +3100,8 @@ function dateToYMD(d) {
 }
 function formatYMD(s) {
   try {
-    const d = new Date(s);
+    // Parse bare dates as local days; new Date('YYYY-MM-DD') is UTC midnight
+    const d = /^\d{4}-\d{2}-\d{2}$/.test(s) ? new Date(`${s}T00:00`) : new Date(s);
     return d.toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
   } catch {
     return s;
@@ -917,6 +3118,11 @@ function formatDateTime(s) {
 function sortTasks(arr) {
   const sorted = arr.slice().sort((a, b) => {
     if (a.completed !== b.completed) return a.completed ? 1 : -1;
+    // Manually ordered (dragged) tasks come first, in their saved order
+    const aOrdered = typeof a.order === 'number';
+    const bOrdered = typeof b.order === 'number';
+    if (aOrdered !== bOrdered) return aOrdered ? -1 : 1;
+    if (aOrdered && a.order !== b.order) return a.order - b.order;
     if (a.dueDate && b.dueDate) {
       if (a.dueDate < b.dueDate) return -1;
       if (a.dueDate > b.dueDate) return 1;
@@ -927,6 +3133,63 @@ function sortTasks(arr) {
   });
   return sorted;
 }
+// Items with an `order` first by that value, the rest keep their existing order
+function sortByOrder(arr) {
+  return arr.slice().sort((a, b) => {
+    const ao = typeof a.order === 'number' ? a.order : Infinity;
+    const bo = typeof b.order === 'number' ? b.order : Infinity;
+    return ao === bo ? 0 : ao - bo;
+  });
+}
+// Parent id of p; a parentId pointing at a missing project counts as top level
+function projectParentId(p) {
+  const parentId = p.parentId ?? null;
+  return parentId && (state.db?.projects || []).some((x) => x.id === parentId) ? parentId : null;
+}
+// Depth-first display order of the project tree: [{ project, depth, hasChildren }]
+function projectTree({ skipCollapsed = false } = {}) {
+  const byParent = new Map();
+  sortByOrder(state.db?.projects || []).forEach((p) => {
+    const parentId = projectParentId(p);
+    if (!byParent.has(parentId)) byParent.set(parentId, []);
+    byParent.get(parentId).push(p);
+  });
+  const rows = [];
+  const walk = (parentId, depth) =>
+    (byParent.get(parentId) || []).forEach((p) => {
+      rows.push({ project: p, depth, hasChildren: byParent.has(p.id) });
+      if (!(skipCollapsed && state.collapsedProjects.has(p.id))) walk(p.id, depth + 1);
+    });
+  walk(null, 0);
+  return rows;
+}
+// The project itself plus every project nested below it
+function projectSubtreeIds(rootId) {
+  const ids = new Set([rootId]);
+  const projects = state.db?.projects || [];
+  let grew = true;
+  while (grew) {
+    grew = false;
+    projects.forEach((p) => {
+      if (p.parentId && ids.has(p.parentId) && !ids.has(p.id)) {
+        ids.add(p.id);
+        grew = true;
+      }
+    });
+  }
+  return ids;
+}
+// "Work › Clients › Acme"
+function projectPath(id) {
+  const byId = new Map((state.db?.projects || []).map((p) => [p.id, p]));
+  const names = [];
+  const seen = new Set();
+  for (let p = byId.get(id); p && !seen.has(p.id); p = byId.get(p.parentId)) {
+    seen.add(p.id);
+    names.unshift(p.name);
+  }
+  return names.join(' › ') || 'Inbox';
+}
 function getProjectName(id) {
   return (state.db?.projects || []).find((p) => p.id === id)?.name || 'Inbox';
 }
@@ -936,10 +3199,27 @@ function projectIdByName(name) {
   return p?.id || null;
 }
 
+// Main rejected a save that would have overwritten a change it hadn't seen
+function isConflictError(err) {
+  return /\bCONFLICT\b/.test(String(err?.message || err));
+}
+
 /* Global error surfacing */
 window.addEventListener('unhandledrejection', (e) => {
   console.error('Unhandled promise rejection:', e.reason);
-  alert('Something went wrong. Check the console for details.');
+  if (isConflictError(e.reason)) {
+    // Show what is actually stored; the user can simply redo the change
+    loadAndRender();
+    showToast('That change clashed with another update and was not saved.');
+    return;
+  }
+  // e.g. data written by a newer app version: the message says what to do
+  const msg = String(e.reason?.message || '').replace(
+    /^Error invoking remote method '[^']+': (Error: )?/,
+    '',
+  );
+  if (msg) alert(`Something went wrong: ${msg}`);
+  else alert('Something went wrong. Check the console for details.');
 });
 window.addEventListener('error', (e) => {
   console.error('Unhandled error:', e.error || e.message);
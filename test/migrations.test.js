@@ -0,0 +1,170 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, readFileSync } from 'node:fs';
+import { copyFile, readFile, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { dialog } from 'electron';
+import { invoke, loadMain, userDataDir } from './support/app.js';
+
+// One fixture per file kind and schema version; the v2 ones are the v1 ones upgraded
+const fixturePath = (name) => fileURLToPath(new URL(`./fixtures/${name}`, import.meta.url));
+const fixture = (name) => JSON.parse(readFileSync(fixturePath(name), 'utf8'));
+const dataFile = (name) => join(userDataDir, name);
+const readDataFile = async (name) => JSON.parse(await readFile(dataFile(name), 'utf8'));
+
+const BACKUP_PASSPHRASE = 'fixture passphrase'; // backup-v2.json was exported with it
+const NEW_FIELDS = ['dueTime', 'reminders', 'tags', 'checklist', 'autoCompleteChecklist'];
+
+let main;
+
+before(async () => {
+  main = await loadMain();
+});
+
+function migrate(data, file) {
+  return main.runMigrations(data, main.DATA_MIGRATIONS, main.SCHEMA_VERSION, { file });
+}
+
+function chooseFile(name) {
+  dialog.showOpenDialog = async () => ({ canceled: false, filePaths: [fixturePath(name)] });
+}
+
+test('DATA_MIGRATIONS upgrade v1 db and archive payloads to their v2 fixtures', () => {
+  for (const [name, file] of [
+    ['db', 'current'],
+    ['archive', 'archive'],
+  ]) {
+    const data = fixture(`${name}-v1.json`);
+    assert.equal(migrate(data, file), true);
+    assert.deepEqual(data, fixture(`${name}-v${main.SCHEMA_VERSION}.json`), name);
+  }
+});
+
+test('payloads at the current schema version are left alone', () => {
+  for (const [name, file] of [
+    ['db', 'current'],
+    ['archive', 'archive'],
+  ]) {
+    const data = fixture(`${name}-v2.json`);
+    assert.equal(migrate(data, file), false);
+    assert.deepEqual(data, fixture(`${name}-v2.json`), name);
+  }
+});
+
+test('SETTINGS_MIGRATIONS upgrade v1 and v2 settings step by step', () => {
+  for (const version of [1, 2]) {
+    const s = fixture(`settings-v${version}.json`);
+    main.runMigrations(s, main.SETTINGS_MIGRATIONS, main.SETTINGS_VERSION, {});
+    assert.equal(s.version, main.SETTINGS_VERSION);
+    assert.equal(s.keyCheck, null);
+    assert.equal(s.failedUnlocks, 0);
+    assert.equal(s.wipeAfterFailedUnlocks, 0);
+    assert.deepEqual(s.keySlots, []);
+    assert.equal(typeof s.autoLock.idleMinutes, 'number');
+    assert.equal(s.calendarFeed.enabled, false);
+  }
+  // A value a user already set is kept; a missing one gets the default
+  const v1 = fixture('settings-v1.json');
+  const v2 = fixture('settings-v2.json');
+  main.runMigrations(v1, main.SETTINGS_MIGRATIONS, main.SETTINGS_VERSION, {});
+  main.runMigrations(v2, main.SETTINGS_MIGRATIONS, main.SETTINGS_VERSION, {});
+  assert.equal(v1.closeToTray, true);
+  assert.equal(v2.closeToTray, false);
+});
+
+test('assertSchemaSupported rejects files from a newer version', () => {
+  const { assertSchemaSupported, SCHEMA_VERSION, SETTINGS_VERSION } = main;
+  assert.throws(
+    () => assertSchemaSupported({ version: SCHEMA_VERSION + 1 }, 'db.json'),
+    /db.json was written by a newer version/,
+  );
+  const newerSettings = { version: SETTINGS_VERSION + 1 };
+  assert.throws(
+    () => assertSchemaSupported(newerSettings, 'settings.json', SETTINGS_VERSION),
+    /newer version/,
+  );
+  assert.doesNotThrow(() => assertSchemaSupported(fixture('db-v1.json'), 'db.json'));
+  assert.doesNotThrow(() => assertSchemaSupported(fixture('db-v2.json'), 'db.json'));
+  assert.doesNotThrow(() => assertSchemaSupported({}, 'db.json')); // no version = v1
+});
+
+test('a v1 settings.json is upgraded at startup without leaving a copy behind', async () => {
+  await copyFile(fixturePath('settings-v1.json'), dataFile('settings.json'));
+  await main.ensureFiles();
+  const s = await readDataFile('settings.json');
+  assert.equal(s.version, main.SETTINGS_VERSION);
+  assert.equal(s.closeToTray, true);
+  assert.equal(existsSync(dataFile('pre-migration')), false);
+});
+
+test('a db.json from a newer version is refused and not overwritten', async () => {
+  const newer = { ...fixture('db-v2.json'), version: main.SCHEMA_VERSION + 1 };
+  await writeFile(dataFile('db.json'), JSON.stringify(newer));
+  await assert.rejects(invoke('db:load'), /newer version/);
+  assert.deepEqual(await readDataFile('db.json'), newer);
+});
+
+test('v1 db.json and archive.json are upgraded on load', async () => {
+  await copyFile(fixturePath('db-v1.json'), dataFile('db.json'));
+  await copyFile(fixturePath('archive-v1.json'), dataFile('archive.json'));
+  const { tasks, projects, views } = await invoke('db:load');
+
+  const expected = [...fixture('db-v2.json').tasks, ...fixture('archive-v2.json').tasks];
+  assert.deepEqual(tasks.map((t) => t.id).sort(), expected.map((t) => t.id).sort());
+  tasks.forEach((t) => NEW_FIELDS.forEach((f) => assert.ok(f in t, `${t.id}.${f}`)));
+  projects.forEach((p) => assert.equal(p.parentId, null));
+  assert.deepEqual(views, []);
+
+  assert.equal((await readDataFile('db.json')).version, main.SCHEMA_VERSION);
+  assert.equal((await readDataFile('archive.json')).version, main.SCHEMA_VERSION);
+  assert.equal(existsSync(dataFile('pre-migration')), false);
+});
+
+test('a v1 backup is upgraded when it is restored', async () => {
+  chooseFile('backup-v1.json');
+  const opened = await invoke('backup:open');
+  assert.equal(opened.version, 1);
+  assert.equal(opened.needsPassphrase, false);
+  assert.equal((await invoke('backup:import', {})).ok, true);
+
+  const { tasks } = await invoke('db:load');
+  assert.deepEqual(tasks.map((t) => t.id).sort(), ['task_call', 'task_groceries', 'task_taxes']);
+  tasks.forEach((t) => NEW_FIELDS.forEach((f) => assert.ok(f in t, `${t.id}.${f}`)));
+  assert.equal((await readDataFile('db.json')).version, main.SCHEMA_VERSION);
+});
+
+test('a v2 backup restores with its passphrase', async () => {
+  chooseFile('backup-v2.json');
+  const opened = await invoke('backup:open');
+  assert.equal(opened.version, 2);
+  assert.equal(opened.needsPassphrase, true);
+  const wrong = await invoke('backup:import', { passphrase: 'not the passphrase' });
+  assert.equal(wrong.code, 'BAD_PASSPHRASE');
+
+  chooseFile('backup-v2.json');
+  await invoke('backup:open');
+  assert.equal((await invoke('backup:import', { passphrase: BACKUP_PASSPHRASE })).ok, true);
+  const { tasks } = await invoke('db:load');
+  const expected = [...fixture('db-v2.json').tasks, ...fixture('archive-v2.json').tasks];
+  assert.deepEqual(
+    tasks.map((t) => [t.id, t.title]).sort(),
+    expected.map((t) => [t.id, t.title]).sort(),
+  );
+});
+
+test('backups from a newer version are refused', async () => {
+  const legacy = fixture('backup-v1.json');
+  legacy.blob.current.version = main.SCHEMA_VERSION + 1;
+  const legacyPath = dataFile('newer-data-backup.json');
+  await writeFile(legacyPath, JSON.stringify(legacy));
+  dialog.showOpenDialog = async () => ({ canceled: false, filePaths: [legacyPath] });
+  await invoke('backup:open');
+  await assert.rejects(invoke('backup:import', {}), /newer version/);
+
+  const container = { ...fixture('backup-v2.json'), version: 3 };
+  const containerPath = dataFile('newer-format-backup.json');
+  await writeFile(containerPath, JSON.stringify(container));
+  dialog.showOpenDialog = async () => ({ canceled: false, filePaths: [containerPath] });
+  await assert.rejects(invoke('backup:open'), /newer version/);
+});
@@ -0,0 +1,129 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { invoke, loadMain } from './support/app.js';
+
+const COUNT = 300;
+let main;
+
+before(async () => {
+  main = await loadMain();
+  await main.ensureFiles();
+});
+
+const range = (n) => Array.from({ length: n }, (_, i) => i);
+
+test('hundreds of concurrent task:add and task:update calls all land', async () => {
+  const added = await Promise.all(
+    range(COUNT).map((i) => invoke('task:add', { title: `Task ${i}` })),
+  );
+  // Two updates per task in flight at once, each touching a different field
+  await Promise.all(
+    added.flatMap((t, i) => [
+      invoke('task:update', { id: t.id, priority: i % 4 }),
+      invoke('task:update', { id: t.id, title: `Task ${i} (edited)` }),
+    ]),
+  );
+
+  const { tasks } = await invoke('db:load');
+  added.forEach((t, i) => {
+    const saved = tasks.find((x) => x.id === t.id);
+    assert.ok(saved, `task ${i} was lost`);
+    assert.equal(saved.title, `Task ${i} (edited)`);
+    assert.equal(saved.priority, i % 4);
+  });
+});
+
+test('adds and completions racing each other keep every change', async () => {
+  const { tasks: before } = await invoke('db:load');
+  const open = before.filter((t) => !t.completed).slice(0, 100);
+  const [added] = await Promise.all([
+    Promise.all(range(100).map((i) => invoke('task:add', { title: `Racer ${i}` }))),
+    Promise.all(open.map((t) => invoke('task:update', { id: t.id, completed: true }))),
+  ]);
+
+  const { tasks } = await invoke('db:load');
+  const byId = new Map(tasks.map((t) => [t.id, t]));
+  added.forEach((t) => assert.ok(byId.has(t.id), `${t.title} was lost`));
+  open.forEach((t) => assert.equal(byId.get(t.id).completed, true, `${t.title} not completed`));
+});
+
+test('a save started from stale data fails with CONFLICT and writes nothing', async () => {
+  const s = await main.readSettings();
+  const first = await main.loadAllData(s);
+  const stale = await main.loadAllData(s);
+  const id = first.current.tasks[0].id;
+  first.current.tasks[0].title = 'first writer';
+  stale.current.tasks[0].title = 'stale writer';
+
+  await main.saveCurrentAndMaybeArchive(s, first);
+  await assert.rejects(main.saveCurrentAndMaybeArchive(s, stale), { code: 'CONFLICT' });
+
+  const { tasks } = await invoke('db:load');
+  assert.equal(tasks.find((t) => t.id === id).title, 'first writer');
+});
+
+test('saves outside the queue racing queued mutations commit or get CONFLICT', async () => {
+  const s = await main.readSettings();
+  const { tasks: targets } = await invoke('db:load');
+  // Either way a writer that lost the race finds nothing of its change saved
+  const attempt = async (write) => {
+    try {
+      return { saved: true, ...(await write()) };
+    } catch (e) {
+      assert.equal(e.code, 'CONFLICT');
+      return { saved: false };
+    }
+  };
+  // Each unqueued writer renames its own task from whatever copy it loaded
+  const unqueued = targets.slice(0, 100).map((t) =>
+    attempt(async () => {
+      const merged = await main.loadAllData(s);
+      merged.current.tasks.find((x) => x.id === t.id).title = `renamed ${t.id}`;
+      await main.saveCurrentAndMaybeArchive(s, merged);
+      return { id: t.id };
+    }).then((o) => ({ ...o, id: t.id, title: t.title })),
+  );
+  // Queued mutations only wait for each other, so an unqueued save can beat them too
+  const queued = range(100).map((i) =>
+    attempt(async () => ({ task: await invoke('task:add', { title: `Queued ${i}` }) })),
+  );
+  const [renames, adds] = await Promise.all([Promise.all(unqueued), Promise.all(queued)]);
+
+  const { tasks } = await invoke('db:load');
+  const byId = new Map(tasks.map((t) => [t.id, t]));
+  renames.forEach((o) =>
+    assert.equal(byId.get(o.id).title, o.saved ? `renamed ${o.id}` : o.title, o.id),
+  );
+  adds.filter((o) => o.saved).forEach((o) => assert.ok(byId.has(o.task.id), o.task.title));
+  assert.equal(
+    tasks.filter((t) => t.title.startsWith('Queued ')).length,
+    adds.filter((o) => o.saved).length,
+  );
+  assert.ok(renames.some((o) => !o.saved), 'writers sharing one loaded copy should conflict');
+});
+
+test('serializeMutation runs one mutation at a time, in order', async () => {
+  const order = [];
+  let running = 0;
+  await Promise.all(
+    range(COUNT).map((i) =>
+      main.serializeMutation(async () => {
+        running++;
+        assert.equal(running, 1);
+        await new Promise((resolve) => setImmediate(resolve));
+        order.push(i);
+        running--;
+      }),
+    ),
+  );
+  assert.deepEqual(order, range(COUNT));
+});
+
+test('a failed mutation does not stop the ones queued behind it', async () => {
+  const failed = main.serializeMutation(async () => {
+    throw new Error('boom');
+  });
+  const next = main.serializeMutation(async () => 'ran');
+  await assert.rejects(failed, /boom/);
+  assert.equal(await next, 'ran');
+});
@@ -0,0 +1,22 @@
+import { rmSync } from 'node:fs';
+import { app, handlers } from 'electron';
+
+// Each test file runs in its own process, with its own empty user data directory. It is
+// removed on exit, after debounced writes (e.g. the calendar feed) have had their turn.
+export const userDataDir = app.getPath('userData');
+
+process.once('exit', () => rmSync(userDataDir, { recursive: true, force: true }));
+
+// Imports src/main.js (once per process). Its progress logging is muted for the rest of
+// the run; warnings and errors still show.
+export function loadMain() {
+  console.log = () => {};
+  return import('../../src/main.js');
+}
+
+// What ipcRenderer.invoke(channel, ...args) would get from the renderer side
+export function invoke(channel, ...args) {
+  const handler = handlers.get(channel);
+  if (!handler) throw new Error(`No handler for ${channel}`);
+  return handler({}, ...args);
+}
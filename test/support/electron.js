@@ -0,0 +1,37 @@
+/* Test double for the parts of Electron that src/main.js uses. The app never becomes
+ * ready, so no window, tray or timers are started; IPC handlers are collected in
+ * `handlers` and called directly (see invoke() in app.js). */
+import { mkdtempSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+const userData = mkdtempSync(join(tmpdir(), 'private-todo-test-'));
+
+export const handlers = new Map();
+
+export const app = {
+  getPath: () => userData,
+  whenReady: () => new Promise(() => {}),
+  on() {},
+  quit() {},
+};
+
+export const ipcMain = {
+  handle: (channel, fn) => handlers.set(channel, fn),
+  on: (channel, fn) => handlers.set(channel, fn),
+};
+
+// Tests replace the methods they need, e.g. dialog.showOpenDialog
+export const dialog = {};
+
+export const BrowserWindow = { getAllWindows: () => [] };
+export const systemPreferences = {};
+export const powerMonitor = { on() {} };
+export const Menu = {};
+export const nativeImage = {};
+export class Tray {}
+export class Notification {
+  static isSupported() {
+    return false;
+  }
+}
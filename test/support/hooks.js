@@ -0,0 +1,10 @@
+// Module hooks: the app's Electron and keychain imports resolve to the doubles here
+const doubles = {
+  electron: new URL('./electron.js', import.meta.url).href,
+  keytar: new URL('./keytar.js', import.meta.url).href,
+};
+
+export async function resolve(specifier, context, nextResolve) {
+  if (doubles[specifier]) return { url: doubles[specifier], shortCircuit: true };
+  return nextResolve(specifier, context);
+}
@@ -0,0 +1,14 @@
+// In-memory stand-in for the system keychain
+const entries = new Map();
+
+export default {
+  async getPassword(service, account) {
+    return entries.get(`${service}/${account}`) ?? null;
+  },
+  async setPassword(service, account, password) {
+    entries.set(`${service}/${account}`, password);
+  },
+  async deletePassword(service, account) {
+    return entries.delete(`${service}/${account}`);
+  },
+};
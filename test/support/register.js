@@ -0,0 +1,4 @@
+// Loaded with `node --import` before every test file (see the test script in package.json)
+import { register } from 'node:module';
+
+register('./hooks.js', import.meta.url);